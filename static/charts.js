@@ -0,0 +1,256 @@
+/**
+ * Mahabharata Dashboard - Summary Charts
+ *
+ * Inline SVG charts for the home page, built from all_books_summary.json.
+ * Every segment links to the book dashboard with the matching filter applied.
+ */
+
+// Pipeline stages in order (names as in the Pipeline Architecture section)
+const PIPELINE_STAGES = [
+    { number: 1, name: 'Bloom Filter' },
+    { number: 2, name: 'Pada-Level Matching' },
+    { number: 3, name: 'Segment Recovery' },
+    { number: 4, name: 'Edit Distance' },
+    { number: 5, name: 'Cross-Book Matching' },
+    { number: 6, name: 'Final Mapping' },
+    { number: 7, name: 'Bidirectional Verification' },
+    { number: 8, name: 'Critical Edition' },
+    { number: 9, name: 'SARIT Reference' },
+];
+
+// Match methods in stage order; unknown methods are drawn grey
+const MATCH_METHODS = {
+    bloom_filter: { label: 'Bloom filter', color: '#667eea' },
+    pada_vector: { label: 'Pada vector', color: '#17a2b8' },
+    segment_recovery: { label: 'Segment recovery', color: '#20c997' },
+    bidirectional_pada_vector: { label: 'Bidirectional pada vector', color: '#6f42c1' },
+    critical_edition_reference: { label: 'Critical Edition reference', color: '#00838f' },
+    sarit_reference: { label: 'SARIT reference', color: '#fd7e14' },
+};
+
+// Confidence bands of all_books_summary.json and the dashboard filter for each
+const CONFIDENCE_BANDS = [
+    { key: 'high_confidence', label: 'High (≥90%)', color: '#28a745', filter: 'status=matched' },
+    { key: 'medium_confidence', label: 'Medium (70–90%)', color: '#ffc107', filter: 'status=partial&sim=70-100' },
+    { key: 'low_confidence', label: 'Low (<70%)', color: '#fd7e14', filter: 'status=partial&sim=0-70' },
+    { key: 'unmatched', label: 'Unmatched', color: '#dc3545', filter: 'status=unmatched' },
+];
+
+const UNMATCHED_COLOR = '#dfe6e9';
+const UNKNOWN_METHOD_COLOR = '#b2bec3';
+
+const CHART_WIDTH = 800;
+const CHART_LABEL_WIDTH = 90;
+const CHART_ROW_HEIGHT = 26;
+const CHART_ROW_GAP = 8;
+
+/**
+ * Dashboard link for a book with filters in its URL hash
+ * @param {number} bookNumber - Book number
+ * @param {string} filter - Hash parameters, e.g. "stage=stage1"
+ * @returns {string} Relative URL
+ */
+function getFilteredBookLink(bookNumber, filter) {
+    return `${getBookPagePath(bookNumber)}#${filter}`;
+}
+
+/**
+ * Wrap SVG content in a link when there is somewhere to go
+ */
+function svgLink(href, content) {
+    return href ? `<a href="${escapeHtml(href)}" class="chart-link">${content}</a>` : content;
+}
+
+/**
+ * Stage keys of one book by stage number (e.g. 7 → "stage7_bidirectional")
+ * @param {object} book - Entry of all_books_summary.json
+ * @returns {Map} Stage number → { key, count }
+ */
+function getStageCounts(book) {
+    const stages = new Map();
+    Object.entries(book.by_stage || {}).forEach(([key, count]) => {
+        const match = key.match(/^stage(\d+)/);
+        if (match) stages.set(parseInt(match[1], 10), { key, count });
+    });
+    return stages;
+}
+
+/**
+ * Funnel rows: shlokas still unmatched when entering each stage and how
+ * many that stage matched
+ * @param {Array} books - Entries of all_books_summary.json
+ * @returns {Array} [{ number, name, key, entering, matched }]
+ */
+function summarizeStages(books) {
+    let remaining = books.reduce((sum, book) => sum + (book.total || 0), 0);
+
+    return PIPELINE_STAGES.map(stage => {
+        let matched = 0;
+        let key = null;
+        books.forEach(book => {
+            const entry = getStageCounts(book).get(stage.number);
+            if (entry) {
+                matched += entry.count;
+                key = entry.key;
+            }
+        });
+
+        const row = { ...stage, key, entering: remaining, matched };
+        remaining -= matched;
+        return row;
+    });
+}
+
+/**
+ * Funnel across the nine pipeline stages. Segments link to the dashboard
+ * only when a single book is shown.
+ * @param {Array} books - Entries of all_books_summary.json
+ * @param {number} bookNumber - Book to show, or null for all books
+ * @returns {string} SVG markup
+ */
+function renderStageFunnel(books, bookNumber = null) {
+    const shown = bookNumber ? books.filter(b => b.book_number === bookNumber) : books;
+    const rows = summarizeStages(shown);
+    const widest = Math.max(1, rows[0].entering);
+    const barArea = CHART_WIDTH - 2 * CHART_LABEL_WIDTH - 60;
+    const rowHeight = CHART_ROW_HEIGHT + CHART_ROW_GAP;
+    const height = rows.length * rowHeight;
+
+    const body = rows.map((row, i) => {
+        const y = i * rowHeight;
+        const width = Math.max(2, (row.entering / widest) * barArea);
+        const matchedWidth = (row.matched / widest) * barArea;
+        const x = CHART_LABEL_WIDTH * 2 + (barArea - width) / 2;
+        const href = bookNumber && row.key && row.matched > 0 ? getFilteredBookLink(bookNumber, `stage=${row.key}`) : null;
+        const title = `Stage ${row.number} · ${row.name}: ${formatNumber(row.entering)} entering, ${formatNumber(row.matched)} matched`
+            + (row.matched > 0 && !bookNumber ? ' (choose a book to open its dashboard)' : '');
+
+        return `
+            <g class="funnel-row ${row.matched === 0 ? 'empty' : ''}">
+                <text x="0" y="${y + CHART_ROW_HEIGHT * 0.68}" class="chart-label">${row.number}. ${escapeHtml(row.name)}</text>
+                ${svgLink(href, `
+                    <rect x="${x}" y="${y}" width="${width}" height="${CHART_ROW_HEIGHT}" rx="4" fill="${UNMATCHED_COLOR}"><title>${escapeHtml(title)}</title></rect>
+                    <rect x="${x}" y="${y}" width="${matchedWidth}" height="${CHART_ROW_HEIGHT}" rx="4" fill="#667eea"><title>${escapeHtml(title)}</title></rect>
+                `)}
+                <text x="${CHART_WIDTH}" y="${y + CHART_ROW_HEIGHT * 0.68}" class="chart-value" text-anchor="end">+${formatNumber(row.matched)}</text>
+            </g>
+        `;
+    }).join('');
+
+    return `<svg class="chart" viewBox="0 0 ${CHART_WIDTH} ${height}" role="img" aria-label="Pipeline stage funnel">${body}</svg>`;
+}
+
+/**
+ * Horizontal 100% stacked bars, one row per book
+ * @param {Array} rows - [{ label, total, segments: [{ value, color, label, href }] }]
+ * @returns {string} SVG markup
+ */
+function renderStackedRows(rows, ariaLabel) {
+    const barArea = CHART_WIDTH - CHART_LABEL_WIDTH;
+    const rowHeight = CHART_ROW_HEIGHT + CHART_ROW_GAP;
+
+    const body = rows.map((row, i) => {
+        const y = i * rowHeight;
+        let x = CHART_LABEL_WIDTH;
+
+        const segments = row.segments.filter(seg => seg.value > 0).map(seg => {
+            const width = row.total > 0 ? (seg.value / row.total) * barArea : 0;
+            const title = `${row.label} · ${seg.label}: ${formatNumber(seg.value)} (${formatPercent(seg.value, row.total)})`;
+            const rect = `<rect x="${x}" y="${y}" width="${width}" height="${CHART_ROW_HEIGHT}" fill="${seg.color}"><title>${escapeHtml(title)}</title></rect>`;
+            x += width;
+            return svgLink(seg.href, rect);
+        }).join('');
+
+        return `
+            <g>
+                <text x="0" y="${y + CHART_ROW_HEIGHT * 0.68}" class="chart-label">${escapeHtml(row.label)}</text>
+                ${segments}
+            </g>
+        `;
+    }).join('');
+
+    const height = rows.length * rowHeight;
+    return `<svg class="chart" viewBox="0 0 ${CHART_WIDTH} ${height}" role="img" aria-label="${escapeHtml(ariaLabel)}">${body}</svg>`;
+}
+
+/**
+ * Match methods per book as stacked bars (unmatched shown last)
+ * @param {Array} books - Entries of all_books_summary.json
+ * @returns {string} SVG markup
+ */
+function renderMethodBars(books) {
+    return renderStackedRows(books.map(book => {
+        const byMethod = book.by_method || {};
+        const methods = [
+            ...Object.keys(MATCH_METHODS),
+            ...Object.keys(byMethod).filter(method => !MATCH_METHODS[method])
+        ];
+
+        return {
+            label: `Book ${book.book_number}`,
+            total: book.total || 0,
+            segments: [
+                ...methods.map(method => ({
+                    value: byMethod[method] || 0,
+                    color: MATCH_METHODS[method] ? MATCH_METHODS[method].color : UNKNOWN_METHOD_COLOR,
+                    label: MATCH_METHODS[method] ? MATCH_METHODS[method].label : method,
+                    href: getFilteredBookLink(book.book_number, `method=${encodeURIComponent(method)}`)
+                })),
+                {
+                    value: book.unmatched || 0,
+                    color: UNMATCHED_COLOR,
+                    label: 'Unmatched',
+                    href: getFilteredBookLink(book.book_number, 'status=unmatched')
+                }
+            ]
+        };
+    }), 'Match methods per book');
+}
+
+/**
+ * Confidence bands per book as stacked bars
+ * @param {Array} books - Entries of all_books_summary.json
+ * @returns {string} SVG markup
+ */
+function renderConfidenceBands(books) {
+    return renderStackedRows(books.map(book => ({
+        label: `Book ${book.book_number}`,
+        total: book.total || 0,
+        segments: CONFIDENCE_BANDS.map(band => ({
+            value: book[band.key] || 0,
+            color: band.color,
+            label: band.label,
+            href: getFilteredBookLink(book.book_number, band.filter)
+        }))
+    })), 'Confidence bands per book');
+}
+
+/**
+ * Colour legend for a chart
+ * @param {Array} items - [{ label, color }]
+ * @returns {string} HTML
+ */
+function renderChartLegend(items) {
+    return `
+        <div class="chart-legend">
+            ${items.map(item => `
+                <span class="chart-legend-item">
+                    <span class="chart-swatch" style="background: ${item.color};"></span>${escapeHtml(item.label)}
+                </span>
+            `).join('')}
+        </div>
+    `;
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PIPELINE_STAGES,
+        MATCH_METHODS,
+        CONFIDENCE_BANDS,
+        summarizeStages,
+        renderStageFunnel,
+        renderMethodBars,
+        renderConfidenceBands
+    };
+}
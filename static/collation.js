@@ -0,0 +1,160 @@
+/**
+ * Mahabharata Dashboard - Witness Collation
+ *
+ * Lines up the witnesses of an adhyaya verse by verse: the Sriranga source,
+ * MN Dutt, the Critical Edition and SARIT. Every witness reading is aligned
+ * against the Sriranga reading, so variants are highlighted on both sides
+ * and a witness without a parallel leaves a gap in its column.
+ * Depends on diff.js and export.js (collectReadings).
+ */
+
+// Columns in order; the first is the base the others are aligned against
+const COLLATION_WITNESSES = [
+    { key: 'sriranga', label: 'Sriranga' },
+    { key: 'mndutt', label: 'MN Dutt' },
+    { key: 'ce', label: 'Critical Edition' },
+    { key: 'sarit', label: 'SARIT' },
+];
+
+// Witness of a target ID by its prefix (mndutt_10_001_001, critical_10_001_0001, sarit_10_001_001)
+const TARGET_ID_WITNESSES = { mndutt: 'mndutt', critical: 'ce', sarit: 'sarit' };
+
+/**
+ * Witness a target ID belongs to
+ * @param {string} targetId - Target shloka ID
+ * @returns {string|null} Key of COLLATION_WITNESSES
+ */
+function getTargetWitness(targetId) {
+    return TARGET_ID_WITNESSES[String(targetId || '').split('_')[0]] || null;
+}
+
+/**
+ * Readings of one shloka grouped by witness: the source, the matched target,
+ * the CE/SARIT references and the extra targets of a one-to-many mapping
+ * @param {object} shloka - Mapping record
+ * @returns {object} Witness key → [{ wit, id, text, similarity }]
+ */
+function collectWitnessReadings(shloka) {
+    const readings = collectReadings(shloka);
+
+    (shloka.metadata?.additional_matches || []).forEach(match => {
+        const wit = getTargetWitness(match.target_id);
+        if (!wit || !match.target_text || readings.some(r => r.id === match.target_id)) return;
+        readings.push({ wit, id: match.target_id, text: match.target_text, similarity: match.similarity });
+    });
+
+    return Object.fromEntries(COLLATION_WITNESSES.map(({ key }) => [key, readings.filter(r => r.wit === key)]));
+}
+
+/**
+ * Align every witness reading of a shloka against its Sriranga reading.
+ * Only variants are marked: Sriranga tokens some witness lacks, and witness
+ * tokens Sriranga lacks.
+ * @param {object} shloka - Mapping record
+ * @param {object} options - diffTexts() options { mode, normalize }
+ * @returns {object} { shloka, sourceHtml, witnesses: { key: [{ id, similarity, html, changed }] } }
+ */
+function collateShloka(shloka, options = {}) {
+    const byWitness = collectWitnessReadings(shloka);
+    const sourceText = shloka.source_text || '';
+    const changesOnly = (statuses) => statuses.map(status => (status === 'equal' ? undefined : status));
+
+    let source = null;
+    const sourceVariants = [];
+    const witnesses = {};
+
+    COLLATION_WITNESSES.slice(1).forEach(({ key }) => {
+        witnesses[key] = byWitness[key].map(reading => {
+            const aligned = alignTexts(sourceText, reading.text, options);
+            source = aligned;
+            aligned.sourceStatus.forEach((status, idx) => {
+                if (status === 'delete') sourceVariants[idx] = 'delete';
+            });
+
+            return {
+                id: reading.id,
+                similarity: reading.similarity,
+                html: renderDiffSide(aligned.targetTokens, changesOnly(aligned.targetStatus), [], aligned.mode),
+                changed: aligned.changed
+            };
+        });
+    });
+
+    return {
+        shloka,
+        sourceHtml: source ? renderDiffSide(source.sourceTokens, sourceVariants, [], source.mode) : escapeHtml(sourceText),
+        witnesses
+    };
+}
+
+/**
+ * Collation table of an adhyaya: one row per verse, one column per witness.
+ * Verse buttons carry data-index, the position of their record in `shlokas`
+ * (IDs can repeat).
+ * @param {Array} shlokas - Mapping records of the adhyaya
+ * @param {object} options - diffTexts() options { mode, normalize }
+ * @returns {string} HTML
+ */
+function renderCollationTable(shlokas, options = {}) {
+    const verseOf = (shloka) => parseSrirangaId(shloka.source_id || shloka.id).verseNumeric;
+    const rows = shlokas
+        .map((shloka, index) => ({ ...collateShloka(shloka, options), index }))
+        .sort((a, b) => verseOf(a.shloka) - verseOf(b.shloka));
+
+    const parallels = (key) => rows.filter(row => row.witnesses[key].length > 0).length;
+    const renderReading = (reading) => `
+        <div class="collation-reading ${reading.changed === 0 ? 'identical' : ''}">
+            <div class="collation-text">${reading.html}</div>
+            <div class="collation-meta">
+                ${escapeHtml(reading.id)}${typeof reading.similarity === 'number' ? ` · ${(reading.similarity * 100).toFixed(0)}%` : ''}
+                ${reading.changed === 0 ? ' · = Sriranga' : ''}
+            </div>
+        </div>
+    `;
+
+    return `
+        <div class="collation-scroll">
+            <table class="collation-table">
+                <thead>
+                    <tr>
+                        <th class="collation-verse">Verse</th>
+                        ${COLLATION_WITNESSES.map(({ key, label }) => `
+                            <th>
+                                ${label}
+                                ${key === 'sriranga' ? '' : `<span class="collation-count">${parallels(key)}/${rows.length}</span>`}
+                            </th>
+                        `).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows.map(row => {
+                        const id = row.shloka.source_id || row.shloka.id;
+                        return `
+                            <tr>
+                                <td class="collation-verse">
+                                    <button class="collation-shloka" data-id="${escapeHtml(id)}" data-index="${row.index}" title="${escapeHtml(id)}">${escapeHtml(row.shloka.verse ?? id)}</button>
+                                </td>
+                                <td><div class="collation-text">${row.sourceHtml}</div></td>
+                                ${COLLATION_WITNESSES.slice(1).map(({ key }) => row.witnesses[key].length > 0
+                                    ? `<td>${row.witnesses[key].map(renderReading).join('')}</td>`
+                                    : '<td class="collation-gap">no parallel</td>'
+                                ).join('')}
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        COLLATION_WITNESSES,
+        getTargetWitness,
+        collectWitnessReadings,
+        collateShloka,
+        renderCollationTable
+    };
+}
@@ -5,9 +5,61 @@
  * - Tree navigation (Parva → Upaparva → Adhyaya → Shloka)
  * - Shloka detail display
  * - Filtering by match status
+ * - Full-text search (Devanagari or Roman input)
  * - Future: Translation and commentary display
  */
 
+// Details panel elements holding Sanskrit text, converted to the display script
+const SANSKRIT_TEXT_SELECTOR = '.source-text, .target-text, .additional-target-text, .source-preview, .reference-text, .commentary-text, .collation-text';
+
+// Virtualized shloka lists: fixed row height (keep in sync with .shloka-list .shloka-item)
+const SHLOKA_ROW_HEIGHT = 78;
+const SHLOKA_ROW_OVERSCAN = 8;   // Rows rendered above/below the viewport
+
+// Keyboard shortcuts, in the order listed by the "?" overlay
+const KEYBOARD_SHORTCUTS = [
+    { keys: ['j'], method: 'stepShloka', args: [1], description: 'Next shloka' },
+    { keys: ['k'], method: 'stepShloka', args: [-1], description: 'Previous shloka' },
+    { keys: ['n'], method: 'stepProblemShloka', args: [1], description: 'Next unmatched or partial shloka' },
+    { keys: ['N'], method: 'stepProblemShloka', args: [-1], description: 'Previous unmatched or partial shloka' },
+    { keys: ['l'], method: 'expandFocusedNode', description: 'Expand the current node / enter it (→ in the tree)' },
+    { keys: ['h'], method: 'collapseFocusedNode', description: 'Collapse the current node / go to parent (← in the tree)' },
+    { keys: ['f'], method: 'cycleFilterFacet', args: ['status'], description: 'Cycle the status filter' },
+    { keys: ['c'], method: 'cycleFilterFacet', args: ['corpus'], description: 'Cycle the corpus filter' },
+    { keys: ['s'], method: 'stepSibling', description: 'Next shloka sharing this target (many → one)' },
+    { keys: ['v'], method: 'collateFocusedAdhyaya', description: 'Collate the witnesses of the current adhyaya' },
+    { keys: ['/'], method: 'focusSearch', description: 'Search' },
+    { keys: ['?'], method: 'toggleShortcutOverlay', description: 'Show or hide this list' },
+];
+
+const KEY_LABELS = { N: 'Shift+N' };
+
+// Similarity heatmap: one row per target corpus, one cell per adhyaya
+const HEATMAP_CORPORA = ['mndutt', 'ce', 'sarit'];
+const HEATMAP_METRICS = { mean: 'Mean', min: 'Minimum' };
+const HISTOGRAM_BINS = 10;
+
+// Relationship clusters listed before "Show all"
+const CLUSTER_LIST_LIMIT = 25;
+
+// Filter facets: values within a facet are OR-ed, facets are AND-ed together
+const FILTER_FACETS = {
+    status: (shloka, value) => getMatchStatusClass(shloka) === value,
+    corpus: (shloka, value) => (shloka.match_corpus || 'none') === value,
+    relation: (shloka, value) => value === 'many-to-one' ? !!shloka.many_to_one : !!shloka.one_to_many,
+    method: (shloka, value) => shloka.match_method === value,
+    stage: (shloka, value) => shloka.match_stage === value,
+    change: (shloka, value, dashboard) => dashboard.hasRunChange(shloka, value),
+};
+
+// Facet of each fixed filter value (used by tree badges and legacy ?filter= links)
+const FILTER_VALUE_FACETS = {
+    'matched': 'status', 'partial': 'status', 'unmatched': 'status',
+    'mndutt': 'corpus', 'ce': 'corpus', 'sarit': 'corpus',
+    'many-to-one': 'relation', 'one-to-many': 'relation',
+    'changed': 'change',
+};
+
 class MahabharataDashboard {
     constructor(containerId, bookNumber) {
         this.container = document.getElementById(containerId);
@@ -15,19 +67,67 @@ class MahabharataDashboard {
         this.data = null;
         this.hierarchy = null;
         this.selectedShloka = null;
-        this.currentFilter = 'all';
+        this.filters = this.createEmptyFilters();
+        this.filteredStats = null;    // Node id → stats under the active filters
+        this.similarityTimer = null;
+        this.diffMode = DIFF_MODES[localStorage.getItem('mbh-diff-mode')] ? localStorage.getItem('mbh-diff-mode') : 'word';
+        this.expandedNodes = new Set();
+        this.restoringUrlState = false;
+        this.searchIndex = null;      // Built on first query
+        this.searchTimer = null;
+        this.normalizationOpen = false;  // Keep the rule table open across re-renders
+        this.shlokaLists = new Map();  // Adhyaya node id → virtual list state
+        this.scrollFrame = null;
+        this.exportScope = null;      // Last clicked tree node: { parva, upaparva, adhyaya, label }
+        this.reviewStore = new ReviewStore();
+        this.reviews = new Map();     // Record key (getShlokaKey) → review decision record
+        this.reviewCounts = new Map();  // Tree node id → reviewed shlokas below it
+        this.reviewError = null;
+        this.orderedShlokas = null;   // All shlokas in tree order, built on first keyboard step
+        this.focusedNodeId = null;    // Tree node under the keyboard focus (null: the selected shloka)
+        this.heatmapColumns = null;   // Adhyayas in tree order, built when the heatmap is first opened
+        this.heatmapMetric = 'mean';
+        this.bookIndex = null;        // Chunked books: the index the tree is drawn from
+        this.adhyayaEntries = [];     // [{ path, label, adhyaya }] in tree order
+        this.pendingShards = 0;       // Adhyaya shards not loaded yet
+        this.shardsLoading = null;    // Promise of every shard, once a feature needs the whole book
+        this.collationNodeId = null;  // Adhyaya node whose collation fills the details panel
+        this.clusters = null;         // Relationship clusters, built when the panel is first opened
+        this.clusterSort = 'size';
+        this.clusterListAll = false;
+        this.clusterShlokaId = null;  // Shloka whose cluster is drawn
+        this.quality = null;          // Quality report (duplicates and verse gaps), when published
+        this.duplicateCounts = new Map();  // Shloka id → number of records, for ids seen more than once
+        this.recordKeys = new Map();  // Record → key (getRecordKeys), for records of those ids
+        this.verseGaps = new Map();   // Adhyaya node id → missing verse numbers
+        this.runBaseline = null;      // Earlier run compared against: { records, source, dir }
+        this.runDiff = null;          // compareRuns() result for runBaseline
+        this.runThreshold = RUN_DIFF_THRESHOLD;
+        this.runChangeCounts = new Map();  // Tree node id → changed shlokas below it
         
         this.init();
     }
     
     async init() {
+        // Links to a shloka from another book are forwarded to that book's page
+        if (this.redirectToLinkedBook()) return;
+        
         this.showLoading();
         
         try {
             await this.loadData();
+            await this.loadReviews();
+            await this.loadQuality();
             this.buildHierarchy();
+            this.countReviews();
+            this.countDuplicates();
+            this.indexVerseGaps();
             this.render();
             this.attachEventListeners();
+            await this.restoreUrlState();
+            window.addEventListener('popstate', () => this.restoreUrlState());
+            window.addEventListener('mbh-normalization-change', () => this.onNormalizationChange());
+            window.addEventListener('mbh-script-change', () => this.refreshDetails());
         } catch (error) {
             this.showError(error.message);
             console.error('Dashboard initialization error:', error);
@@ -55,110 +155,247 @@ class MahabharataDashboard {
     }
     
     async loadData() {
-        const mappingPath = getBookMappingPath(this.bookNumber);
+        const { data, diagnostics, sharded } = await dataStore.loadBookData(this.bookNumber);
+        this.diagnostics = [diagnostics];
         
-        const response = await fetch(mappingPath);
-        if (!response.ok) {
-            throw new Error(`Failed to load data: ${response.status} ${response.statusText}`);
+        // Chunked books load shlokas per adhyaya (see loadAdhyayaShard)
+        if (sharded) {
+            this.bookIndex = data;
+            this.data = [];
+            console.log(`Loaded the index for Book ${this.bookNumber} (${data.stats.total} shlokas)`);
+            return;
         }
         
-        this.data = await response.json();
+        this.data = this.keepRecords(data);
         console.log(`Loaded ${this.data.length} shlokas for Book ${this.bookNumber}`);
     }
     
+    /**
+     * Records that are not objects at all cannot be shown; they stay listed in the diagnostics
+     */
+    keepRecords(records) {
+        return records.filter(shloka => shloka && typeof shloka === 'object');
+    }
+    
     buildHierarchy() {
-        this.hierarchy = groupByHierarchy(this.data);
-        
-        // Calculate overall stats
-        // Note: "matched" = high confidence (≥90%), "partial" = lower confidence (<90%)
-        this.stats = {
-            total: this.data.length,
-            allMatched: this.data.filter(s => s.has_match).length,  // Total with any match
-            unmatched: this.data.filter(s => !s.has_match).length,
-            highConfidence: this.data.filter(s => s.has_match && s.similarity >= 0.9).length,
-            partial: this.data.filter(s => s.has_match && s.similarity < 0.9).length,
-            // Corpus-specific counts
-            mndutt: this.data.filter(s => s.match_corpus === 'mndutt').length,
-            ce: this.data.filter(s => s.match_corpus === 'ce').length,
-            sarit: this.data.filter(s => s.match_corpus === 'sarit').length,
-            // Relationship counts
-            manyToOne: this.data.filter(s => s.many_to_one).length,
-            oneToMany: this.data.filter(s => s.one_to_many).length,
-        };
-        
-        // For display, "matched" shows high confidence only
-        this.stats.matched = this.stats.highConfidence;
+        if (this.bookIndex) {
+            this.hierarchy = hierarchyFromBookIndex(this.bookIndex);
+            this.degradedCount = this.bookIndex.degraded_count || 0;
+            this.stats = { ...this.bookIndex.stats };
+        } else {
+            this.hierarchy = groupByHierarchy(this.data);
+            this.degradedCount = this.data.filter(s => parseSrirangaHierarchy(s).degraded).length;
+            this.stats = computeBookStats(this.data);
+        }
         
-        this.stats.matchRate = this.stats.total > 0 
-            ? ((this.stats.allMatched / this.stats.total) * 100).toFixed(1) 
-            : 0;
+        this.adhyayaEntries = [];
+        for (const parvaKey of Object.keys(this.hierarchy).sort()) {
+            const parva = this.hierarchy[parvaKey];
+            for (const upaparvaKey of Object.keys(parva.upaparvas).sort()) {
+                const upaparva = parva.upaparvas[upaparvaKey];
+                for (const adhyayaKey of Object.keys(upaparva.adhyayas).sort()) {
+                    const adhyaya = upaparva.adhyayas[adhyayaKey];
+                    this.adhyayaEntries.push({
+                        path: [
+                            `parva-${parvaKey}`,
+                            `upaparva-${parvaKey}-${upaparvaKey}`,
+                            `adhyaya-${parvaKey}-${upaparvaKey}-${adhyayaKey}`
+                        ],
+                        label: [
+                            parva.name || this.formatParvaName(parvaKey),
+                            upaparva.name || this.formatUpaparvaName(upaparvaKey),
+                            adhyaya.name || this.formatAdhyayaName(adhyayaKey)
+                        ].join(' › '),
+                        adhyaya
+                    });
+                }
+            }
+        }
+        this.pendingShards = this.adhyayaEntries.filter(entry => entry.adhyaya.shard && !entry.adhyaya.loaded).length;
     }
     
     render() {
         this.container.innerHTML = `
             <div class="book-container">
                 <!-- Mobile Tab Bar -->
-                <div class="mobile-tabs" id="mobile-tabs">
-                    <button class="mobile-tab active" data-tab="tree">📚 Tree</button>
-                    <button class="mobile-tab" data-tab="details">📖 Details</button>
+                <div class="mobile-tabs" id="mobile-tabs" role="tablist" aria-label="Dashboard panels">
+                    <button class="mobile-tab active" id="mobile-tab-tree" data-tab="tree" role="tab"
+                            aria-selected="true" aria-controls="tree-panel"><span aria-hidden="true">📚</span> Tree</button>
+                    <button class="mobile-tab" id="mobile-tab-details" data-tab="details" role="tab"
+                            aria-selected="false" aria-controls="details-panel" tabindex="-1"><span aria-hidden="true">📖</span> Details</button>
                 </div>
                 
                 <div class="tree-panel" id="tree-panel">
                     <div class="panel-header">
                         <h2>📚 Book ${this.bookNumber} - Navigation</h2>
+                        <button class="shortcut-hint" title="Keyboard shortcuts (?)">⌨</button>
+                        ${renderScriptSelect()}
                     </div>
+                    <div id="search" class="search-bar"></div>
                     <div id="stats-bar" class="stats-bar"></div>
+                    <div id="diagnostics" class="diagnostics"></div>
+                    <details id="heatmap" class="heatmap-panel">
+                        <summary>🌡️ Similarity by adhyaya</summary>
+                        <div id="heatmap-body" class="heatmap-body"></div>
+                    </details>
+                    <details id="clusters" class="cluster-panel">
+                        <summary>🕸️ Relationship clusters</summary>
+                        <div id="clusters-body" class="cluster-body"></div>
+                    </details>
+                    <details id="run-diff" class="run-diff-panel">
+                        <summary id="run-diff-summary">🔀 Compare with another run</summary>
+                        <div id="run-diff-body" class="run-diff-body"></div>
+                    </details>
                     <div id="filters" class="filters"></div>
+                    <div id="export-bar" class="export-bar"></div>
+                    <div id="search-results" class="search-results hidden"></div>
                     <div id="tree-content" class="tree-content"></div>
                 </div>
-                <div class="details-panel" id="details-panel">
-                    <div class="detail-placeholder">
-                        <div class="detail-placeholder-icon">📖</div>
-                        <p>Select a shloka from the tree to view details</p>
-                    </div>
+                <div class="details-panel" id="details-panel" role="region" aria-label="Shloka details">
+                    ${this.renderDetailsPlaceholder()}
+                </div>
+                <div class="sr-only" id="details-status" role="status" aria-live="polite"></div>
+                <div class="shortcut-overlay hidden" id="shortcut-overlay">
+                    ${this.renderShortcutOverlay()}
                 </div>
             </div>
         `;
         
         this.setupMobileTabs();
+        bindScriptSelect(document.getElementById('tree-panel'));
+        this.renderSearch();
         this.renderStatsBar();
+        this.renderDiagnostics();
         this.renderFilters();
+        this.renderRunDiff();
         this.renderTree();
     }
     
+    renderDetailsPlaceholder() {
+        return `
+            <div class="detail-placeholder">
+                <div class="detail-placeholder-icon">📖</div>
+                <p>Select a shloka from the tree to view details</p>
+            </div>
+        `;
+    }
+    
     setupMobileTabs() {
-        const tabs = document.querySelectorAll('.mobile-tab');
-        const treePanel = document.getElementById('tree-panel');
-        const detailsPanel = document.getElementById('details-panel');
+        const tabs = [...document.querySelectorAll('.mobile-tab')];
         
         tabs.forEach(tab => {
-            tab.addEventListener('click', () => {
-                tabs.forEach(t => t.classList.remove('active'));
-                tab.classList.add('active');
-                
-                if (tab.dataset.tab === 'tree') {
-                    treePanel.classList.remove('mobile-hidden');
-                    detailsPanel.classList.add('mobile-hidden');
-                } else {
-                    treePanel.classList.add('mobile-hidden');
-                    detailsPanel.classList.remove('mobile-hidden');
-                }
-            });
+            tab.addEventListener('click', () => this.showMobileTab(tab.dataset.tab));
+        });
+        
+        // Tab pattern: ←/→ move between the tabs
+        document.getElementById('mobile-tabs').addEventListener('keydown', (e) => {
+            if (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight') return;
+            e.preventDefault();
+            e.stopPropagation();
+            const index = tabs.indexOf(e.target.closest('.mobile-tab'));
+            const next = tabs[(index + (e.key === 'ArrowRight' ? 1 : tabs.length - 1)) % tabs.length];
+            this.showMobileTab(next.dataset.tab);
+            next.focus();
+        });
+    }
+    
+    /**
+     * Show the tree or the details panel on narrow screens
+     */
+    showMobileTab(name) {
+        document.querySelectorAll('.mobile-tab').forEach(tab => {
+            const active = tab.dataset.tab === name;
+            tab.classList.toggle('active', active);
+            tab.setAttribute('aria-selected', active);
+            tab.tabIndex = active ? 0 : -1;
         });
+        document.getElementById('tree-panel').classList.toggle('mobile-hidden', name !== 'tree');
+        document.getElementById('details-panel').classList.toggle('mobile-hidden', name !== 'details');
     }
     
     // Auto-switch to details tab on mobile when shloka selected
     switchToDetailsTab() {
         if (window.innerWidth <= 768) {
-            const tabs = document.querySelectorAll('.mobile-tab');
-            const treePanel = document.getElementById('tree-panel');
-            const detailsPanel = document.getElementById('details-panel');
+            this.showMobileTab('details');
+        }
+    }
+    
+    renderSearch() {
+        const search = document.getElementById('search');
+        search.innerHTML = `
+            <input type="search" id="search-input" class="search-input"
+                   placeholder="Search text, translation, commentary… (देवनागरी or Roman)"
+                   autocomplete="off" spellcheck="false">
+        `;
+        
+        const input = document.getElementById('search-input');
+        input.addEventListener('input', () => {
+            clearTimeout(this.searchTimer);
+            this.searchTimer = setTimeout(() => this.runSearch(input.value), 200);
+        });
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                input.value = '';
+                this.runSearch('');
+            }
+        });
+    }
+    
+    /**
+     * Run a full-text query and show ranked results in place of the tree
+     */
+    runSearch(query) {
+        const results = document.getElementById('search-results');
+        const treeContent = document.getElementById('tree-content');
+        
+        if (query.trim().length < 2) {
+            results.classList.add('hidden');
+            treeContent.classList.remove('hidden');
+            results.innerHTML = '';
+            return;
+        }
+        
+        if (!this.searchIndex) {
+            const loaded = this.whenBookLoaded(results, () => this.runSearch(document.getElementById('search-input').value));
+            if (!loaded) {
+                results.classList.remove('hidden');
+                treeContent.classList.add('hidden');
+                return;
+            }
+            this.searchIndex = buildSearchIndex(this.data);
+        }
+        
+        const { results: matches, truncated } = searchShlokas(this.searchIndex, query);
+        const selectedId = this.selectedShloka ? (this.selectedShloka.id || this.selectedShloka.source_id) : null;
+        
+        let html = `
+            <div class="search-summary">
+                ${matches.length === 0 
+                    ? `No results for “${escapeHtml(query)}”` 
+                    : `${formatNumber(matches.length)}${truncated ? '+' : ''} results`}
+            </div>
+        `;
+        
+        for (const match of matches) {
+            const id = match.shloka.id || match.shloka.source_id;
+            const statusClass = getMatchStatusClass(match.shloka);
             
-            tabs.forEach(t => t.classList.remove('active'));
-            tabs[1].classList.add('active'); // Details tab
-            treePanel.classList.add('mobile-hidden');
-            detailsPanel.classList.remove('mobile-hidden');
+            html += `
+                <div class="search-result ${statusClass} ${id === selectedId ? 'selected' : ''}" data-id="${id}">
+                    <div class="shloka-id">${match.shloka.source_id || match.shloka.id}</div>
+                    ${match.hits.map(hit => `
+                        <div class="search-snippet">
+                            <span class="search-field">${hit.field.label}</span>
+                            ${renderSearchSnippet(hit)}
+                        </div>
+                    `).join('')}
+                </div>
+            `;
         }
+        
+        results.innerHTML = html;
+        results.classList.remove('hidden');
+        treeContent.classList.add('hidden');
     }
     
     renderStatsBar() {
@@ -186,81 +423,197 @@ class MahabharataDashboard {
                         <div style="font-size: 1.5rem; font-weight: bold; color: #17a2b8;">${this.stats.matchRate}%</div>
                         <div style="font-size: 0.8rem; color: #636e72;">Match Rate</div>
                     </div>
+                    <div title="${this.renderReviewBreakdown()}">
+                        <div style="font-size: 1.5rem; font-weight: bold; color: #6f42c1;">${formatNumber(this.reviews.size)}</div>
+                        <div style="font-size: 0.8rem; color: #636e72;">
+                            Reviewed
+                            <button class="review-export" title="Download all review decisions as a corrections file">⬇</button>
+                        </div>
+                    </div>
                 </div>
             </div>
         `;
     }
     
+    /**
+     * Malformed records from validation on load, and a notice when part of
+     * the tree is grouped by the chapter-number fallback
+     */
+    renderDiagnostics() {
+        const container = document.getElementById('diagnostics');
+        
+        container.innerHTML = `
+            ${this.degradedCount > 0 ? `
+                <div class="diagnostics-degraded">
+                    ⚠️ ${formatNumber(this.degradedCount)} shlokas lack parva/upaparva/adhyaya IDs.
+                    They are grouped by chapter number under placeholder names (marked ⚠ in the tree).
+                </div>
+            ` : ''}
+            ${renderDiagnosticsPanel(this.diagnostics, { linkRecords: true })}
+        `;
+    }
+    
+    /**
+     * Marker for tree nodes grouped by the chapter-number fallback
+     */
+    renderDegradedMarker(entry) {
+        return entry.degraded
+            ? `<span class="tree-degraded" title="Hierarchy IDs missing: grouped by chapter number">${this.renderBadgeText('⚠', 'grouped by chapter number')}</span>`
+            : '';
+    }
+    
     renderFilters() {
         const filters = document.getElementById('filters');
+        
+        // Method/stage facets are built from the values present in this book
+        // (counted into the index for chunked books)
+        const countValues = (key) => {
+            let counts = this.bookIndex && this.bookIndex.facets ? this.bookIndex.facets[key] : null;
+            if (!counts) {
+                counts = {};
+                this.data.forEach(s => {
+                    if (s[key]) counts[s[key]] = (counts[s[key]] || 0) + 1;
+                });
+            }
+            return Object.entries(counts).sort((a, b) => b[1] - a[1]);
+        };
+        
         filters.innerHTML = `
             <div class="filter-group">
                 <span class="filter-label">Status:</span>
-                <button class="filter-btn active" data-filter="all">All (${formatNumber(this.stats.total)})</button>
-                <button class="filter-btn matched" data-filter="matched">✓ High ≥90% (${formatNumber(this.stats.highConfidence)})</button>
-                <button class="filter-btn partial" data-filter="partial">~ Partial (${formatNumber(this.stats.partial)})</button>
-                <button class="filter-btn unmatched" data-filter="unmatched">✗ Unmatched (${formatNumber(this.stats.unmatched)})</button>
+                <button class="filter-btn active" data-facet="">All (${formatNumber(this.stats.total)})</button>
+                <button class="filter-btn matched" data-facet="status" data-value="matched">✓ High ≥90% (${formatNumber(this.stats.highConfidence)})</button>
+                <button class="filter-btn partial" data-facet="status" data-value="partial">~ Partial (${formatNumber(this.stats.partial)})</button>
+                <button class="filter-btn unmatched" data-facet="status" data-value="unmatched">✗ Unmatched (${formatNumber(this.stats.unmatched)})</button>
             </div>
             <div class="filter-group">
                 <span class="filter-label">Corpus:</span>
-                <button class="filter-btn corpus-mndutt" data-filter="mndutt">MN Dutt (${formatNumber(this.stats.mndutt)})</button>
-                <button class="filter-btn corpus-ce" data-filter="ce">CE (${formatNumber(this.stats.ce)})</button>
-                <button class="filter-btn corpus-sarit" data-filter="sarit">SARIT (${formatNumber(this.stats.sarit)})</button>
+                <button class="filter-btn corpus-mndutt" data-facet="corpus" data-value="mndutt">MN Dutt (${formatNumber(this.stats.mndutt)})</button>
+                <button class="filter-btn corpus-ce" data-facet="corpus" data-value="ce">CE (${formatNumber(this.stats.ce)})</button>
+                <button class="filter-btn corpus-sarit" data-facet="corpus" data-value="sarit">SARIT (${formatNumber(this.stats.sarit)})</button>
             </div>
             <div class="filter-group">
                 <span class="filter-label">Relationships:</span>
-                <button class="filter-btn relation" data-filter="many-to-one">Many→One (${formatNumber(this.stats.manyToOne)})</button>
-                <button class="filter-btn relation" data-filter="one-to-many">One→Many (${formatNumber(this.stats.oneToMany)})</button>
+                <button class="filter-btn relation" data-facet="relation" data-value="many-to-one">Many→One (${formatNumber(this.stats.manyToOne)})</button>
+                <button class="filter-btn relation" data-facet="relation" data-value="one-to-many">One→Many (${formatNumber(this.stats.oneToMany)})</button>
+            </div>
+            <div class="filter-group">
+                <span class="filter-label">Method:</span>
+                ${countValues('match_method').map(([method, count]) => `
+                    <button class="filter-btn facet" data-facet="method" data-value="${method}">${this.formatMatchMethod(method)} (${formatNumber(count)})</button>
+                `).join('')}
+            </div>
+            <div class="filter-group">
+                <span class="filter-label">Stage:</span>
+                ${countValues('match_stage').map(([stage, count]) => `
+                    <button class="filter-btn facet" data-facet="stage" data-value="${stage}">${this.formatMatchStage(stage)} (${formatNumber(count)})</button>
+                `).join('')}
+            </div>
+            <div class="filter-group similarity-filter">
+                <span class="filter-label">Similarity:</span>
+                <input type="range" id="similarity-min" class="similarity-range" min="0" max="100" step="1" value="0">
+                <input type="range" id="similarity-max" class="similarity-range" min="0" max="100" step="1" value="100">
+                <span id="similarity-label" class="similarity-label">0–100%</span>
             </div>
+            <div id="filter-summary" class="filter-summary"></div>
         `;
+        
+        const minInput = document.getElementById('similarity-min');
+        const maxInput = document.getElementById('similarity-max');
+        
+        const readRange = (changed) => {
+            let min = parseInt(minInput.value, 10);
+            let max = parseInt(maxInput.value, 10);
+            // Keep the handles from crossing
+            if (min > max) {
+                if (changed === minInput) max = min; else min = max;
+                minInput.value = min;
+                maxInput.value = max;
+            }
+            document.getElementById('similarity-label').textContent = `${min}–${max}%`;
+            return [min, max];
+        };
+        
+        [minInput, maxInput].forEach(input => {
+            input.addEventListener('input', () => readRange(input));
+            input.addEventListener('change', () => {
+                this.setFilters({ ...this.filters, similarity: readRange(input) });
+            });
+        });
     }
     
     /**
      * Generate compact indicator badges for tree nodes
      * Shows: matched count, unmatched, partial, relationships, corpora
      */
-    renderTreeIndicators(stats) {
+    renderTreeIndicators(stats, nodeId) {
         let html = '';
         
         // Always show matched count (green) - clickable to filter
-        html += `<span class="tree-badge matched" data-filter="matched" title="Click to filter: High confidence matches (≥90%)">${stats.matched}</span>`;
+        html += `<span class="tree-badge matched" data-filter="matched" title="Click to filter: High confidence matches (≥90%)">${this.renderBadgeText(stats.matched, `${stats.matched} matched`)}</span>`;
         
         // Show unmatched if > 0 (red)
         if (stats.unmatched > 0) {
-            html += `<span class="tree-badge unmatched" data-filter="unmatched" title="Click to filter: Unmatched shlokas">✗${stats.unmatched}</span>`;
+            html += `<span class="tree-badge unmatched" data-filter="unmatched" title="Click to filter: Unmatched shlokas">${this.renderBadgeText(`✗${stats.unmatched}`, `${stats.unmatched} unmatched`)}</span>`;
         }
         
         // Show partial if > 0 (orange) - but only if not already counted in unmatched
         if (stats.partial > 0) {
-            html += `<span class="tree-badge partial" data-filter="partial" title="Click to filter: Partial matches (<90%)">~${stats.partial}</span>`;
+            html += `<span class="tree-badge partial" data-filter="partial" title="Click to filter: Partial matches (<90%)">${this.renderBadgeText(`~${stats.partial}`, `${stats.partial} partial`)}</span>`;
         }
         
         // Show one-to-many if > 0 (purple)
         if (stats.oneToMany > 0) {
-            html += `<span class="tree-badge one-to-many" data-filter="one-to-many" title="Click to filter: One source → Many targets">⇉${stats.oneToMany}</span>`;
+            html += `<span class="tree-badge one-to-many" data-filter="one-to-many" title="Click to filter: One source → Many targets">${this.renderBadgeText(`⇉${stats.oneToMany}`, `${stats.oneToMany} one to many`)}</span>`;
         }
         
         // Show many-to-one if > 0 (blue)
         if (stats.manyToOne > 0) {
-            html += `<span class="tree-badge many-to-one" data-filter="many-to-one" title="Click to filter: Many sources → One target">⇆${stats.manyToOne}</span>`;
+            html += `<span class="tree-badge many-to-one" data-filter="many-to-one" title="Click to filter: Many sources → One target">${this.renderBadgeText(`⇆${stats.manyToOne}`, `${stats.manyToOne} many to one`)}</span>`;
         }
         
         // Show CE if > 0 (teal)
         if (stats.ce > 0) {
-            html += `<span class="tree-badge ce" data-filter="ce" title="Click to filter: Critical Edition matches">CE${stats.ce}</span>`;
+            html += `<span class="tree-badge ce" data-filter="ce" title="Click to filter: Critical Edition matches">${this.renderBadgeText(`CE${stats.ce}`, `${stats.ce} in the Critical Edition`)}</span>`;
         }
         
         // Show SARIT if > 0 (indigo)
         if (stats.sarit > 0) {
-            html += `<span class="tree-badge sarit" data-filter="sarit" title="Click to filter: SARIT matches">S${stats.sarit}</span>`;
+            html += `<span class="tree-badge sarit" data-filter="sarit" title="Click to filter: SARIT matches">${this.renderBadgeText(`S${stats.sarit}`, `${stats.sarit} in SARIT`)}</span>`;
+        }
+        
+        // Show changes since the baseline run if compared (filters on any change)
+        const changed = this.runChangeCounts.get(nodeId) || 0;
+        if (changed > 0) {
+            html += `<span class="tree-badge run-change" data-filter="changed" title="Click to filter: changed since the baseline run">${this.renderBadgeText(`Δ${changed}`, `${changed} changed since the baseline run`)}</span>`;
+        }
+        
+        // Show reviewed count if > 0 (not a filter)
+        const reviewed = this.reviewCounts.get(nodeId) || 0;
+        if (reviewed > 0) {
+            html += `<span class="tree-badge reviewed" title="Reviewed shlokas">${this.renderBadgeText(`${REVIEW_DECISIONS.accept.icon}${reviewed}`, `${reviewed} reviewed`)}</span>`;
         }
         
         return html;
     }
     
+    /**
+     * Badge content for screen readers: the symbols are hidden and a
+     * spoken label (read after the node or shloka name) takes their place
+     */
+    renderBadgeText(shown, spoken) {
+        return `<span aria-hidden="true">${shown}</span><span class="sr-only">, ${spoken}</span>`;
+    }
+    
+    /**
+     * Render top-level Parva nodes. Children are built on first expand
+     * (see renderNodeChildren) so large books open without freezing.
+     */
     renderTree() {
         const treeContent = document.getElementById('tree-content');
-        let html = '<ul class="tree-list">';
+        let html = `<ul class="tree-list" role="tree" aria-label="Book ${this.bookNumber}: parvas, upaparvas, adhyayas and shlokas">`;
+        
+        this.shlokaLists.clear();
         
         // Sort parvas by key
         const parvaKeys = Object.keys(this.hierarchy).sort();
@@ -269,27 +622,28 @@ class MahabharataDashboard {
             const parva = this.hierarchy[parvaKey];
             const parvaId = `parva-${parvaKey}`;
             const parvaName = parva.name || this.formatParvaName(parvaKey);
+            const stats = this.getNodeStats(parvaId, parva.stats);
             
             html += `
-                <li class="tree-item">
-                    <div class="tree-node" data-id="${parvaId}" data-type="parva">
-                        <span class="tree-arrow">▶</span>
-                        <span class="tree-label">${parvaName}</span>
-                        <span class="tree-indicators">${this.renderTreeIndicators(parva.stats)}</span>
-                    </div>
-                    <div class="tree-children" id="${parvaId}-children">
-                        ${this.renderUpaparvas(parvaKey, parva.upaparvas)}
+                <li class="tree-item ${stats.total === 0 ? 'hidden' : ''}" role="treeitem" aria-expanded="false"
+                    aria-labelledby="${parvaId}-node" tabindex="-1">
+                    <div class="tree-node" id="${parvaId}-node" data-id="${parvaId}" data-type="parva" data-parva="${parvaKey}">
+                        <span class="tree-arrow" aria-hidden="true">▶</span>
+                        <span class="tree-label">${parvaName}</span>${this.renderDegradedMarker(parva)}
+                        <span class="tree-indicators">${this.renderTreeIndicators(stats, parvaId)}</span>
                     </div>
+                    <div class="tree-children" id="${parvaId}-children"></div>
                 </li>
             `;
         }
         
         html += '</ul>';
         treeContent.innerHTML = html;
+        this.updateTreeTabStop();
     }
     
     renderUpaparvas(parvaKey, upaparvas) {
-        let html = '<ul class="tree-list">';
+        let html = '<ul class="tree-list" role="group">';
         
         const upaparvaKeys = Object.keys(upaparvas).sort();
         
@@ -297,17 +651,18 @@ class MahabharataDashboard {
             const upaparva = upaparvas[upaparvaKey];
             const upaparvaId = `upaparva-${parvaKey}-${upaparvaKey}`;
             const upaparvaName = upaparva.name || this.formatUpaparvaName(upaparvaKey);
+            const stats = this.getNodeStats(upaparvaId, upaparva.stats);
             
             html += `
-                <li class="tree-item">
-                    <div class="tree-node" data-id="${upaparvaId}" data-type="upaparva">
-                        <span class="tree-arrow">▶</span>
-                        <span class="tree-label">${upaparvaName}</span>
-                        <span class="tree-indicators">${this.renderTreeIndicators(upaparva.stats)}</span>
-                    </div>
-                    <div class="tree-children" id="${upaparvaId}-children">
-                        ${this.renderAdhyayas(parvaKey, upaparvaKey, upaparva.adhyayas)}
+                <li class="tree-item ${stats.total === 0 ? 'hidden' : ''}" role="treeitem" aria-expanded="false"
+                    aria-labelledby="${upaparvaId}-node" tabindex="-1">
+                    <div class="tree-node" id="${upaparvaId}-node" data-id="${upaparvaId}" data-type="upaparva"
+                         data-parva="${parvaKey}" data-upaparva="${upaparvaKey}">
+                        <span class="tree-arrow" aria-hidden="true">▶</span>
+                        <span class="tree-label">${upaparvaName}</span>${this.renderDegradedMarker(upaparva)}
+                        <span class="tree-indicators">${this.renderTreeIndicators(stats, upaparvaId)}</span>
                     </div>
+                    <div class="tree-children" id="${upaparvaId}-children"></div>
                 </li>
             `;
         }
@@ -317,7 +672,7 @@ class MahabharataDashboard {
     }
     
     renderAdhyayas(parvaKey, upaparvaKey, adhyayas) {
-        let html = '<ul class="tree-list">';
+        let html = '<ul class="tree-list" role="group">';
         
         const adhyayaKeys = Object.keys(adhyayas).sort();
         
@@ -325,17 +680,19 @@ class MahabharataDashboard {
             const adhyaya = adhyayas[adhyayaKey];
             const adhyayaId = `adhyaya-${parvaKey}-${upaparvaKey}-${adhyayaKey}`;
             const adhyayaName = adhyaya.name || this.formatAdhyayaName(adhyayaKey);
+            const stats = this.getNodeStats(adhyayaId, adhyaya.stats);
             
             html += `
-                <li class="tree-item">
-                    <div class="tree-node" data-id="${adhyayaId}" data-type="adhyaya">
-                        <span class="tree-arrow">▶</span>
-                        <span class="tree-label">${adhyayaName}</span>
-                        <span class="tree-indicators">${this.renderTreeIndicators(adhyaya.stats)}</span>
-                    </div>
-                    <div class="tree-children" id="${adhyayaId}-children">
-                        ${this.renderShlokas(adhyaya.shlokas)}
+                <li class="tree-item ${stats.total === 0 ? 'hidden' : ''}" role="treeitem" aria-expanded="false"
+                    aria-labelledby="${adhyayaId}-node" tabindex="-1">
+                    <div class="tree-node" id="${adhyayaId}-node" data-id="${adhyayaId}" data-type="adhyaya"
+                         data-parva="${parvaKey}" data-upaparva="${upaparvaKey}" data-adhyaya="${adhyayaKey}">
+                        <span class="tree-arrow" aria-hidden="true">▶</span>
+                        <span class="tree-label">${adhyayaName}</span>${this.renderDegradedMarker(adhyaya)}${this.renderGapMarker(adhyayaId)}
+                        <span class="tree-indicators">${this.renderTreeIndicators(stats, adhyayaId)}</span>
+                        <button class="tree-collate" title="Collate the witnesses of this adhyaya (v)" tabindex="-1" aria-hidden="true">⫼</button>
                     </div>
+                    <div class="tree-children" id="${adhyayaId}-children"></div>
                 </li>
             `;
         }
@@ -344,9 +701,62 @@ class MahabharataDashboard {
         return html;
     }
     
-    renderShlokas(shlokas) {
-        let html = '';
+    /**
+     * Build the children of a tree node the first time it is expanded
+     */
+    renderNodeChildren(node, children) {
+        if (children.dataset.rendered === 'true') return;
+        
+        const { parva, upaparva, adhyaya } = node.dataset;
+        const parvaData = this.hierarchy[parva];
+        
+        if (node.dataset.type === 'parva') {
+            children.innerHTML = this.renderUpaparvas(parva, parvaData.upaparvas);
+        } else if (node.dataset.type === 'upaparva') {
+            children.innerHTML = this.renderAdhyayas(parva, upaparva, parvaData.upaparvas[upaparva].adhyayas);
+        } else if (node.dataset.type === 'adhyaya') {
+            const entry = parvaData.upaparvas[upaparva].adhyayas[adhyaya];
+            
+            // Chunked books: show a placeholder and build the list once the shard arrives
+            if (entry.shard && !entry.loaded) {
+                children.innerHTML = '<div class="shard-status">Loading shlokas…</div>';
+                this.loadAdhyayaShard(entry).then(() => {
+                    this.renderNodeChildren(node, children);
+                    this.updateAllShlokaLists();
+                }, error => {
+                    children.innerHTML = `<div class="shard-status error">Could not load this adhyaya: ${escapeHtml(error.message)}</div>`;
+                });
+                return;
+            }
+            
+            children.innerHTML = '<div class="shloka-list" role="group"></div>';
+            this.createShlokaList(node.dataset.id, children.firstElementChild, entry.shlokas);
+        }
         
+        children.dataset.rendered = 'true';
+    }
+    
+    /**
+     * Hierarchy entry (parva, upaparva or adhyaya) behind a tree node element
+     */
+    getHierarchyNode(node) {
+        return this.getHierarchyEntry(node.dataset);
+    }
+    
+    /**
+     * Hierarchy entry for parva/upaparva/adhyaya keys (as in tree node data attributes)
+     */
+    getHierarchyEntry({ parva, upaparva, adhyaya }) {
+        let entry = this.hierarchy[parva];
+        if (upaparva) entry = entry.upaparvas[upaparva];
+        if (adhyaya) entry = entry.adhyayas[adhyaya];
+        return entry;
+    }
+    
+    /**
+     * Register a virtualized shloka list for an adhyaya
+     */
+    createShlokaList(nodeId, element, shlokas) {
         // Sort by verse number
         shlokas.sort((a, b) => {
             const parsedA = parseSrirangaId(a.source_id || a.id);
@@ -354,37 +764,97 @@ class MahabharataDashboard {
             return parsedA.verseNumeric - parsedB.verseNumeric;
         });
         
-        for (const shloka of shlokas) {
-            const statusClass = getMatchStatusClass(shloka);
-            const matchLabel = shloka.has_match 
-                ? (shloka.similarity >= 0.9 ? '✓' : '~') 
-                : '✗';
-            
-            // Build data attributes for filtering
-            const corpus = shloka.match_corpus || 'none';
-            const manyToOne = shloka.many_to_one ? 'true' : 'false';
-            const oneToMany = shloka.one_to_many ? 'true' : 'false';
-            
-            // Extra indicators for relationships
-            let relationIndicator = '';
-            if (shloka.many_to_one) relationIndicator += '⇆';
-            if (shloka.one_to_many) relationIndicator += '⇉';
-            
-            html += `
-                <div class="shloka-item ${statusClass}" 
-                     data-id="${shloka.id || shloka.source_id}" 
-                     data-filter="${statusClass}"
-                     data-corpus="${corpus}"
-                     data-many-to-one="${manyToOne}"
-                     data-one-to-many="${oneToMany}">
-                    <div class="shloka-id">${shloka.source_id || shloka.id} ${relationIndicator}</div>
-                    <div class="shloka-preview">${truncateText(shloka.source_text, 60)}</div>
-                    <span class="match-badge ${statusClass}">${matchLabel}</span>
-                </div>
-            `;
+        const list = {
+            element,
+            shlokas,
+            gaps: this.verseGaps.get(nodeId) || [],
+            visible: null,
+            range: null
+        };
+        list.visible = this.getListRows(list);
+        
+        this.shlokaLists.set(nodeId, list);
+        this.updateShlokaList(list);
+    }
+    
+    /**
+     * Render only the rows of a shloka list that intersect the tree viewport
+     */
+    updateShlokaList(list, force = false) {
+        const scroller = document.getElementById('tree-content');
+        const rows = list.visible;
+        
+        list.element.style.height = `${rows.length * SHLOKA_ROW_HEIGHT}px`;
+        
+        // Collapsed ancestors - nothing to draw
+        if (list.element.offsetParent === null) {
+            list.range = null;
+            list.element.innerHTML = '';
+            return;
         }
         
-        return html;
+        const listTop = list.element.getBoundingClientRect().top - scroller.getBoundingClientRect().top;
+        const viewTop = -listTop;
+        const viewBottom = viewTop + scroller.clientHeight;
+        
+        const first = Math.max(0, Math.floor(viewTop / SHLOKA_ROW_HEIGHT) - SHLOKA_ROW_OVERSCAN);
+        const last = Math.min(rows.length, Math.ceil(viewBottom / SHLOKA_ROW_HEIGHT) + SHLOKA_ROW_OVERSCAN);
+        
+        if (!force && list.range && list.range[0] === first && list.range[1] === last) return;
+        list.range = [first, last];
+        
+        let html = '';
+        for (let i = first; i < last; i++) {
+            html += rows[i].gap
+                ? this.renderGapRow(rows[i], i, rows.length)
+                : this.renderShlokaItem(rows[i], i, rows.length);
+        }
+        
+        // Keep the keyboard focus on a row that is drawn again
+        const hadFocus = list.element.contains(document.activeElement);
+        list.element.innerHTML = html;
+        this.updateTreeTabStop(hadFocus);
+    }
+    
+    updateAllShlokaLists(force = false) {
+        this.shlokaLists.forEach(list => this.updateShlokaList(list, force));
+    }
+    
+    /**
+     * Shloka row: a tree item numbered within its adhyaya's list, as only
+     * the rows near the viewport are drawn
+     */
+    renderShlokaItem(shloka, index, size) {
+        const id = shloka.id || shloka.source_id;
+        const statusClass = getMatchStatusClass(shloka);
+        const matchLabel = shloka.has_match 
+            ? (shloka.similarity >= 0.9 ? '✓' : '~') 
+            : '✗';
+        const matchSpoken = { matched: 'matched', partial: 'partial match', unmatched: 'unmatched' }[statusClass];
+        const entry = this.getShlokaEntry(shloka);
+        const selected = shloka === this.selectedShloka;
+        
+        // Extra indicators for relationships
+        let relationIndicator = '';
+        if (shloka.many_to_one) relationIndicator += this.renderBadgeText('⇆', 'many to one');
+        if (shloka.one_to_many) relationIndicator += this.renderBadgeText('⇉', 'one to many');
+        
+        const review = this.reviews.get(this.getShlokaKey(shloka));
+        const reviewBadge = review
+            ? `<span class="review-badge ${review.decision}" title="${REVIEW_DECISIONS[review.decision].title}">${this.renderBadgeText(REVIEW_DECISIONS[review.decision].icon, REVIEW_DECISIONS[review.decision].title)}</span>`
+            : '';
+        
+        return `
+            <div class="shloka-item ${statusClass} ${selected ? 'selected' : ''}" 
+                 data-id="${id}"${this.duplicateCounts.has(id) ? ` data-entry="${entry}"` : ''}
+                 role="treeitem" aria-selected="${selected}" aria-posinset="${index + 1}" aria-setsize="${size}" tabindex="-1"
+                 style="top: ${index * SHLOKA_ROW_HEIGHT}px;">
+                <div class="shloka-id">${shloka.source_id || shloka.id}<span class="sr-only">, ${matchSpoken}</span> ${relationIndicator}${this.renderDuplicateBadge(shloka, entry)}${this.renderRunChangeBadge(shloka)}</div>
+                <div class="shloka-preview">${truncateText(shloka.source_text, 60)}</div>
+                ${reviewBadge}
+                <span class="match-badge ${statusClass}" aria-hidden="true">${matchLabel}</span>
+            </div>
+        `;
     }
     
     formatParvaName(key) {
@@ -412,13 +882,131 @@ class MahabharataDashboard {
     }
     
     attachEventListeners() {
+        // Re-render visible shloka rows while the tree scrolls
+        const scheduleListUpdate = () => {
+            if (this.scrollFrame) return;
+            this.scrollFrame = requestAnimationFrame(() => {
+                this.scrollFrame = null;
+                this.updateAllShlokaLists();
+            });
+        };
+        document.getElementById('tree-content').addEventListener('scroll', scheduleListUpdate);
+        window.addEventListener('resize', scheduleListUpdate);
+        
+        document.addEventListener('keydown', (e) => this.handleShortcut(e));
+        document.getElementById('tree-content').addEventListener('keydown', (e) => this.handleTreeKey(e));
+        
+        // A node reached with Tab becomes the keyboard position
+        document.getElementById('tree-content').addEventListener('focusin', (e) => {
+            if (e.currentTarget.contains(e.relatedTarget)) return;
+            const node = e.target.matches('.tree-item') && e.target.querySelector(':scope > .tree-node');
+            if (node && node.dataset.id !== this.focusedNodeId) this.setKeyboardFocus(node.dataset.id);
+        });
+        
+        // Heatmap: built on first open, histogram follows the pointer or focus
+        document.getElementById('heatmap').addEventListener('toggle', () => this.renderHeatmap());
+        ['mouseover', 'focusin'].forEach(type => this.container.addEventListener(type, (e) => {
+            const cell = e.target.closest('.heatmap-cell');
+            if (cell) this.showHeatmapTooltip(cell);
+        }));
+        ['mouseout', 'focusout'].forEach(type => this.container.addEventListener(type, (e) => {
+            if (e.target.closest('.heatmap-cell')) this.hideHeatmapTooltip();
+        }));
+        
+        // Relationship clusters: built on first open; graph nodes are not buttons, so Enter/Space click them
+        document.getElementById('clusters').addEventListener('toggle', () => this.renderClusters());
+        this.container.addEventListener('keydown', (e) => {
+            const graphNode = e.target.closest && e.target.closest('.graph-node');
+            if (graphNode && (e.key === 'Enter' || e.key === ' ')) {
+                e.preventDefault();
+                e.stopPropagation();
+                this.selectGraphNode(graphNode.dataset.id);
+            }
+        });
+        
         // Tree node click handlers
         this.container.addEventListener('click', (e) => {
             // Handle tree badge clicks - filter by category
             const treeBadge = e.target.closest('.tree-badge');
             if (treeBadge && treeBadge.dataset.filter) {
                 e.stopPropagation(); // Prevent tree node toggle
-                this.applyFilter(treeBadge.dataset.filter);
+                this.focusFilterValue(FILTER_VALUE_FACETS[treeBadge.dataset.filter], treeBadge.dataset.filter);
+                return;
+            }
+            
+            const collate = e.target.closest('.tree-collate, .collation-open');
+            if (collate) {
+                e.stopPropagation(); // Prevent tree node toggle
+                this.showCollation(collate.dataset.node || collate.closest('.tree-node').dataset.id);
+                return;
+            }
+            
+            const collationShloka = e.target.closest('.collation-shloka');
+            if (collationShloka) {
+                const shloka = this.getAdhyayaEntry(this.collationNodeId).adhyaya.shlokas[Number(collationShloka.dataset.index)];
+                this.navigateToShloka(collationShloka.dataset.id, shloka ? this.getShlokaEntry(shloka) : 0);
+                return;
+            }
+            
+            const diagnosticRecord = e.target.closest('.diagnostic-record');
+            if (diagnosticRecord) {
+                this.navigateToShloka(diagnosticRecord.dataset.id);
+                return;
+            }
+            
+            const heatmapCell = e.target.closest('.heatmap-cell');
+            if (heatmapCell) {
+                this.showHeatmapAdhyaya(this.heatmapColumns[heatmapCell.dataset.column]);
+                return;
+            }
+            
+            if (e.target.closest('.run-diff-load')) {
+                this.loadRunBaseline({ dir: document.getElementById('run-diff-dir').value.trim() || DATA_PATHS.mappings.baselineDir });
+                return;
+            }
+            
+            if (e.target.closest('.run-diff-clear')) {
+                this.clearRunBaseline();
+                return;
+            }
+            
+            const clusterOpen = e.target.closest('.cluster-open');
+            if (clusterOpen) {
+                this.showCluster(clusterOpen.dataset.id);
+                return;
+            }
+            
+            const clusterSort = e.target.closest('.cluster-sort');
+            if (clusterSort) {
+                this.clusterSort = clusterSort.dataset.sort;
+                this.renderClusters();
+                return;
+            }
+            
+            if (e.target.closest('.cluster-more')) {
+                this.clusterListAll = true;
+                this.renderClusters();
+                return;
+            }
+            
+            const clusterRow = e.target.closest('.cluster-row');
+            if (clusterRow) {
+                this.clusterShlokaId = clusterRow.dataset.key;
+                this.renderClusters();
+                this.writeUrlState();
+                return;
+            }
+            
+            const graphNode = e.target.closest('.graph-node');
+            if (graphNode) {
+                this.selectGraphNode(graphNode.dataset.id);
+                return;
+            }
+            
+            const heatmapMetric = e.target.closest('.heatmap-metric');
+            if (heatmapMetric) {
+                this.heatmapMetric = heatmapMetric.dataset.metric;
+                this.renderHeatmap();
                 return;
             }
             
@@ -428,50 +1016,650 @@ class MahabharataDashboard {
                 return;
             }
             
-            const shlokaItem = e.target.closest('.shloka-item');
+            const shlokaItem = e.target.closest('.shloka-item:not(.shloka-gap)');
             if (shlokaItem) {
-                this.selectShloka(shlokaItem.dataset.id);
-                
-                // Update selection visual
-                document.querySelectorAll('.shloka-item.selected').forEach(el => {
+                this.setKeyboardFocus(null);
+                this.selectShloka(shlokaItem.dataset.id, Number(shlokaItem.dataset.entry || 0));
+                return;
+            }
+            
+            const duplicateEntry = e.target.closest('.duplicate-entry');
+            if (duplicateEntry) {
+                this.navigateToShloka(duplicateEntry.dataset.id, Number(duplicateEntry.dataset.entry));
+                return;
+            }
+            
+            const searchResult = e.target.closest('.search-result');
+            if (searchResult) {
+                this.navigateToShloka(searchResult.dataset.id);
+                this.container.querySelectorAll('.search-result.selected').forEach(el => {
                     el.classList.remove('selected');
                 });
-                shlokaItem.classList.add('selected');
+                searchResult.classList.add('selected');
                 return;
             }
             
             const filterBtn = e.target.closest('.filter-btn');
             if (filterBtn) {
-                this.applyFilter(filterBtn.dataset.filter);
+                if (filterBtn.dataset.facet) {
+                    this.toggleFilterValue(filterBtn.dataset.facet, filterBtn.dataset.value);
+                } else {
+                    this.clearFilters();
+                }
+                return;
+            }
+            
+            if (e.target.closest('.filter-clear')) {
+                this.clearFilters();
+                return;
+            }
+            
+            const exportBtn = e.target.closest('.export-btn');
+            if (exportBtn) {
+                this.exportShlokas(exportBtn.dataset.format);
+                return;
+            }
+            
+            if (e.target.closest('.export-scope-clear')) {
+                this.setExportScope(null);
+                return;
+            }
+            
+            if (e.target.closest('.review-export')) {
+                this.exportCorrections();
+                return;
+            }
+            
+            if (e.target.closest('.shortcut-hint') || e.target.id === 'shortcut-overlay' || e.target.closest('.shortcut-close')) {
+                this.toggleShortcutOverlay();
                 return;
             }
         });
     }
     
     toggleTreeNode(node) {
-        const childrenId = node.dataset.id + '-children';
-        const children = document.getElementById(childrenId);
+        this.setNodeExpanded(node.dataset.id, !node.classList.contains('expanded'));
+        this.setKeyboardFocus(node.dataset.id);
+        this.writeUrlState();
         
-        if (children) {
-            node.classList.toggle('expanded');
-            children.classList.toggle('expanded');
-        }
+        const { parva, upaparva, adhyaya } = node.dataset;
+        this.setExportScope({ parva, upaparva, adhyaya, label: node.querySelector('.tree-label').textContent.trim() });
     }
     
-    selectShloka(shlokaId) {
-        const shloka = this.data.find(s => (s.id || s.source_id) === shlokaId);
+    /**
+     * Expand or collapse a tree node by its data-id and track it for the URL
+     */
+    setNodeExpanded(nodeId, expanded) {
+        const node = this.container.querySelector(`.tree-node[data-id="${nodeId}"]`);
+        const children = document.getElementById(nodeId + '-children');
         
-        if (!shloka) {
-            console.warn('Shloka not found:', shlokaId);
-            return;
+        if (!node || !children) return;
+        
+        if (expanded) {
+            this.renderNodeChildren(node, children);
         }
         
-        this.selectedShloka = shloka;
-        this.renderShlokaDetails(shloka);
-        this.switchToDetailsTab();  // Auto-switch on mobile
-    }
-    
-    renderShlokaDetails(shloka) {
+        node.classList.toggle('expanded', expanded);
+        node.parentElement.setAttribute('aria-expanded', expanded);
+        children.classList.toggle('expanded', expanded);
+        
+        if (expanded) {
+            this.expandedNodes.add(nodeId);
+        } else {
+            this.expandedNodes.delete(nodeId);
+        }
+        
+        // Lists below this node moved or became (in)visible
+        this.updateAllShlokaLists();
+    }
+    
+    /**
+     * Tree node data-ids for the Parva → Upaparva → Adhyaya path of a shloka.
+     * Mirrors the keys used by groupByHierarchy() and renderTree().
+     */
+    getTreePath(shloka) {
+        const parsed = parseSrirangaHierarchy(shloka);
+        const parva = parsed.parva || 'Unknown';
+        const upaparva = parsed.upaparva || 'Unknown';
+        const adhyaya = parsed.adhyaya || 'Unknown';
+        
+        return [
+            `parva-${parva}`,
+            `upaparva-${parva}-${upaparva}`,
+            `adhyaya-${parva}-${upaparva}-${adhyaya}`
+        ];
+    }
+    
+    /**
+     * Expand the tree down to a shloka and scroll its row into view
+     */
+    revealShloka(shloka) {
+        const path = this.getTreePath(shloka);
+        path.forEach(nodeId => this.setNodeExpanded(nodeId, true));
+        
+        // Rows are virtualized, so scroll by position rather than element
+        const list = this.shlokaLists.get(path[path.length - 1]);
+        const index = list ? list.visible.indexOf(shloka) : -1;
+        if (index === -1) return;
+        
+        const scroller = document.getElementById('tree-content');
+        const listOffset = list.element.getBoundingClientRect().top
+            - scroller.getBoundingClientRect().top + scroller.scrollTop;
+        const rowTop = listOffset + index * SHLOKA_ROW_HEIGHT;
+        
+        scroller.scrollTo({
+            top: rowTop - scroller.clientHeight / 2 + SHLOKA_ROW_HEIGHT / 2,
+            behavior: 'smooth'
+        });
+        this.updateShlokaList(list);
+    }
+    
+    /**
+     * Select a shloka by its ID; `entry` picks one record of an ID that occurs more than once
+     */
+    selectShloka(shlokaId, entry = 0) {
+        const shloka = this.findShloka(shlokaId, entry);
+        
+        if (!shloka) {
+            console.warn('Shloka not found:', shlokaId);
+            return;
+        }
+        
+        this.selectedShloka = shloka;
+        this.collationNodeId = null;
+        
+        // Update selection visual
+        this.container.querySelectorAll('.shloka-item.selected').forEach(el => {
+            el.classList.remove('selected');
+            el.setAttribute('aria-selected', 'false');
+        });
+        const shlokaItem = this.container.querySelector(this.duplicateCounts.has(shlokaId)
+            ? `.shloka-item[data-id="${shlokaId}"][data-entry="${entry}"]`
+            : `.shloka-item[data-id="${shlokaId}"]`);
+        if (shlokaItem) {
+            shlokaItem.classList.add('selected');
+            shlokaItem.setAttribute('aria-selected', 'true');
+        }
+        this.container.querySelectorAll('.graph-node').forEach(el => {
+            el.classList.toggle('selected', el.dataset.id === shlokaId);
+        });
+        
+        this.renderShlokaDetails(shloka);
+        this.announceShloka(shloka);
+        this.updateTreeTabStop(this.isTreeFocused());
+        this.switchToDetailsTab();  // Auto-switch on mobile
+        this.writeUrlState(true);
+    }
+    
+    clearSelection() {
+        this.selectedShloka = null;
+        this.collationNodeId = null;
+        this.container.querySelectorAll('.shloka-item.selected').forEach(el => {
+            el.classList.remove('selected');
+            el.setAttribute('aria-selected', 'false');
+        });
+        document.getElementById('details-panel').innerHTML = this.renderDetailsPlaceholder();
+        this.updateTreeTabStop();
+    }
+    
+    /**
+     * Tell screen readers which shloka the details panel now shows
+     */
+    announceShloka(shloka) {
+        const status = shloka.has_match
+            ? `${shloka.similarity >= 0.9 ? 'matched' : 'partial match'} in ${this.getCorpusName(shloka.match_corpus)}, ${Math.round(shloka.similarity * 100)}% similar`
+            : 'unmatched';
+        document.getElementById('details-status').textContent =
+            `Shloka ${shloka.source_id || shloka.id}: ${status}. Details shown.`;
+    }
+    
+    // ==========================================================================
+    // Keyboard Navigation
+    // ==========================================================================
+    
+    handleShortcut(e) {
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
+        if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable]')) return;
+        
+        const overlay = document.getElementById('shortcut-overlay');
+        if (e.key === 'Escape' && overlay && !overlay.classList.contains('hidden')) {
+            this.toggleShortcutOverlay();
+            return;
+        }
+        
+        const shortcut = KEYBOARD_SHORTCUTS.find(sc => sc.keys.includes(e.key));
+        if (!shortcut) return;
+        
+        e.preventDefault();
+        this[shortcut.method](...(shortcut.args || []));
+        if (e.target.closest && e.target.closest('#tree-content')) this.updateTreeTabStop(true);
+    }
+    
+    renderShortcutOverlay() {
+        return `
+            <div class="shortcut-panel">
+                <div class="shortcut-header">
+                    <strong>Keyboard shortcuts</strong>
+                    <button class="shortcut-close" title="Close (Esc)">✕</button>
+                </div>
+                <table class="shortcut-table">
+                    ${KEYBOARD_SHORTCUTS.map(sc => `
+                        <tr>
+                            <td>${sc.keys.map(key => `<kbd>${KEY_LABELS[key] || key}</kbd>`).join(' ')}</td>
+                            <td>${sc.description}</td>
+                        </tr>
+                    `).join('')}
+                </table>
+                <p class="shortcut-note">Navigation skips shlokas hidden by the active filters.
+                    In the tree, <kbd>↑</kbd> <kbd>↓</kbd> move between items, <kbd>←</kbd> <kbd>→</kbd> work like <kbd>h</kbd> <kbd>l</kbd>,
+                    <kbd>Home</kbd> <kbd>End</kbd> go to the first and last, and <kbd>Enter</kbd> opens a node or shloka.</p>
+            </div>
+        `;
+    }
+    
+    toggleShortcutOverlay() {
+        document.getElementById('shortcut-overlay').classList.toggle('hidden');
+    }
+    
+    focusSearch() {
+        document.getElementById('search-input').focus();
+    }
+    
+    /**
+     * Mark a tree node as the keyboard position (null: the selected shloka is)
+     */
+    setKeyboardFocus(nodeId) {
+        this.focusedNodeId = nodeId;
+        this.container.querySelectorAll('.tree-node.keyboard-focus').forEach(el => {
+            el.classList.remove('keyboard-focus');
+        });
+        
+        const node = nodeId && this.container.querySelector(`.tree-node[data-id="${nodeId}"]`);
+        if (node) {
+            node.classList.add('keyboard-focus');
+            node.scrollIntoView({ block: 'nearest' });
+        }
+        // Handing the position to a shloka: its selection moves the focus
+        this.updateTreeTabStop(!!node && this.isTreeFocused());
+    }
+    
+    isTreeFocused() {
+        return document.getElementById('tree-content').contains(document.activeElement);
+    }
+    
+    /**
+     * Whether a tree item is on screen: not filtered out, all its parents expanded
+     */
+    isTreeItemShown(item) {
+        return !item.classList.contains('hidden')
+            && !item.parentElement.closest('.tree-children:not(.expanded), .tree-item.hidden');
+    }
+    
+    /**
+     * Roving tabindex: the tree is a single tab stop, on the focused node,
+     * else the selected shloka's row (its adhyaya while the row is not drawn),
+     * else the first node
+     * @param {boolean} focus - Also move the keyboard focus there
+     */
+    updateTreeTabStop(focus = false) {
+        const tree = document.getElementById('tree-content');
+        const nodeItem = (nodeId) => {
+            const node = tree.querySelector(`.tree-node[data-id="${nodeId}"]`);
+            return node && this.isTreeItemShown(node.parentElement) ? node.parentElement : null;
+        };
+        
+        let item = null;
+        if (this.focusedNodeId) {
+            item = nodeItem(this.focusedNodeId);
+        } else if (this.selectedShloka) {
+            item = tree.querySelector('.shloka-item.selected') || nodeItem(this.getTreePath(this.selectedShloka).pop());
+        }
+        item = item || [...tree.querySelectorAll('.tree-item')].find(el => this.isTreeItemShown(el));
+        
+        tree.querySelectorAll('[role="treeitem"][tabindex="0"]').forEach(el => {
+            if (el !== item) el.tabIndex = -1;
+        });
+        if (item) {
+            item.tabIndex = 0;
+            if (focus) item.focus({ preventScroll: true });
+        }
+    }
+    
+    /**
+     * Nodes and shloka rows in the order shown, skipping collapsed and filtered
+     * ones: [{ nodeId } or { shloka }]. Rows are listed whether drawn or not.
+     */
+    getVisibleTreeItems() {
+        const items = [];
+        document.getElementById('tree-content').querySelectorAll('.tree-item').forEach(item => {
+            if (!this.isTreeItemShown(item)) return;
+            
+            const nodeId = item.querySelector(':scope > .tree-node').dataset.id;
+            items.push({ nodeId });
+            const list = this.expandedNodes.has(nodeId) && this.shlokaLists.get(nodeId);
+            if (list) {
+                list.visible.filter(row => !row.gap).forEach(shloka => items.push({ shloka }));
+            }
+        });
+        return items;
+    }
+    
+    /**
+     * Tree keys of the WAI-ARIA tree pattern: ←/→ (as h/l), ↑/↓, Home/End,
+     * Enter/Space. Only bound here, so arrow keys elsewhere keep scrolling.
+     */
+    handleTreeKey(e) {
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
+        const item = e.target.closest && e.target.closest('[role="treeitem"]');
+        if (!item) return;
+        const node = item.querySelector(':scope > .tree-node');
+        
+        if (e.key === 'ArrowRight' || e.key === 'ArrowLeft') {
+            e.preventDefault();
+            if (e.key === 'ArrowRight') {
+                this.expandFocusedNode();
+            } else {
+                this.collapseFocusedNode();
+            }
+            this.updateTreeTabStop(true);
+            return;
+        }
+        
+        if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            if (node) {
+                this.toggleTreeNode(node);
+            } else if (!item.classList.contains('shloka-gap')) {
+                this.selectShloka(item.dataset.id, Number(item.dataset.entry || 0));
+            }
+            return;
+        }
+        
+        const moves = { ArrowDown: 1, ArrowUp: -1, Home: -Infinity, End: Infinity };
+        if (!(e.key in moves)) return;
+        e.preventDefault();
+        
+        const items = this.getVisibleTreeItems();
+        const current = items.findIndex(entry => node
+            ? entry.nodeId === node.dataset.id
+            : entry.shloka === this.selectedShloka);
+        const index = Math.max(0, Math.min(items.length - 1, current + moves[e.key]));
+        const target = items[index];
+        if (!target || index === current) return;
+        
+        if (target.nodeId) {
+            this.setKeyboardFocus(target.nodeId);
+        } else {
+            this.setKeyboardFocus(null);
+            this.revealShloka(target.shloka);
+            this.selectShloka(target.shloka.id || target.shloka.source_id, this.getShlokaEntry(target.shloka));
+        }
+        this.updateTreeTabStop(true);
+    }
+    
+    /**
+     * Move the selection `step` shlokas through the tree order, skipping
+     * shlokas hidden by the filters or failing an extra test
+     */
+    stepShloka(step, test = () => true) {
+        if (!this.whenBookLoaded(null, () => this.stepShloka(step, test))) return;
+        
+        if (!this.orderedShlokas) {
+            this.orderedShlokas = collectExportRows(this.hierarchy).map(row => row.shloka);
+        }
+        const ordered = this.orderedShlokas;
+        
+        // Start from the focused node's first shloka when a node has the focus
+        let index;
+        if (this.focusedNodeId) {
+            index = ordered.findIndex(s => this.getTreePath(s).includes(this.focusedNodeId)) - (step > 0 ? 1 : 0);
+        } else if (this.selectedShloka) {
+            index = ordered.indexOf(this.selectedShloka);
+        } else {
+            index = step > 0 ? -1 : ordered.length;
+        }
+        
+        for (index += step; index >= 0 && index < ordered.length; index += step) {
+            const shloka = ordered[index];
+            if (this.matchesFilter(shloka) && test(shloka)) {
+                this.setKeyboardFocus(null);
+                this.revealShloka(shloka);
+                this.selectShloka(shloka.id || shloka.source_id, this.getShlokaEntry(shloka));
+                return;
+            }
+        }
+    }
+    
+    stepProblemShloka(step) {
+        this.stepShloka(step, shloka => getMatchStatusClass(shloka) !== 'matched');
+    }
+    
+    /**
+     * Tree node the keyboard acts on: the focused node, else the selected
+     * shloka's adhyaya, else the first parva
+     */
+    getFocusedNodeId() {
+        if (this.focusedNodeId) return this.focusedNodeId;
+        if (this.selectedShloka) return this.getTreePath(this.selectedShloka).pop();
+        
+        const first = this.container.querySelector('.tree-item:not(.hidden) > .tree-node');
+        return first ? first.dataset.id : null;
+    }
+    
+    expandFocusedNode() {
+        const nodeId = this.getFocusedNodeId();
+        if (!nodeId) return;
+        
+        if (!this.expandedNodes.has(nodeId)) {
+            this.setNodeExpanded(nodeId, true);
+            this.setKeyboardFocus(nodeId);
+            this.writeUrlState();
+            return;
+        }
+        
+        // Already open: step into the first visible child node or shloka
+        const children = document.getElementById(nodeId + '-children');
+        const child = children && children.querySelector('.tree-item:not(.hidden) > .tree-node');
+        if (child) {
+            this.setKeyboardFocus(child.dataset.id);
+        } else if (this.shlokaLists.has(nodeId) && this.focusedNodeId) {
+            this.stepShloka(1);
+        }
+    }
+    
+    collapseFocusedNode() {
+        // From a shloka, go up to its adhyaya first
+        if (!this.focusedNodeId) {
+            const nodeId = this.getFocusedNodeId();
+            if (nodeId) this.setKeyboardFocus(nodeId);
+            return;
+        }
+        
+        if (this.expandedNodes.has(this.focusedNodeId)) {
+            this.setNodeExpanded(this.focusedNodeId, false);
+            this.writeUrlState();
+            return;
+        }
+        
+        const node = this.container.querySelector(`.tree-node[data-id="${this.focusedNodeId}"]`);
+        const parentItem = node && node.closest('.tree-item').parentElement.closest('.tree-item');
+        if (parentItem) {
+            this.setKeyboardFocus(parentItem.querySelector(':scope > .tree-node').dataset.id);
+        }
+    }
+    
+    /**
+     * Step one value through a facet: none → each value alone → none
+     */
+    cycleFilterFacet(facet) {
+        const values = Object.keys(FILTER_VALUE_FACETS).filter(value => FILTER_VALUE_FACETS[value] === facet);
+        const current = this.filters[facet];
+        const index = current.size === 1 ? values.indexOf([...current][0]) : (current.size === 0 ? -1 : values.length);
+        const next = values[index + 1];
+        
+        this.setFilters({ ...this.filters, [facet]: next ? new Set([next]) : new Set() });
+    }
+    
+    /**
+     * Jump to the next source shloka that maps to the same target
+     */
+    stepSibling() {
+        const shloka = this.selectedShloka;
+        if (!shloka || !shloka.many_to_one || !shloka.sources_sharing_target || shloka.sources_sharing_target.length === 0) return;
+        
+        const siblings = [shloka.source_id, ...shloka.sources_sharing_target].sort();
+        const next = siblings[(siblings.indexOf(shloka.source_id) + 1) % siblings.length];
+        this.setKeyboardFocus(null);
+        this.navigateToShloka(next);
+    }
+    
+    // ==========================================================================
+    // URL State (deep links, browser back/forward)
+    // Format: #book=10&shloka=sriranga_10_001_001&status=partial&corpus=ce&sim=60-80&cluster=sriranga_10_012_025&open=parva-P10,...
+    // ==========================================================================
+    
+    /**
+     * Parse dashboard state from the URL hash
+     */
+    readUrlState() {
+        const params = new URLSearchParams(window.location.hash.substring(1));
+        const shloka = params.get('shloka');
+        
+        // Book defaults to the one encoded in the shloka ID
+        let book = parseInt(params.get('book'), 10) || null;
+        if (!book && shloka) {
+            book = parseSrirangaId(shloka).book || null;
+        }
+        
+        return {
+            book,
+            shloka,
+            entry: Math.max(0, (parseInt(params.get('entry'), 10) || 1) - 1),
+            collate: params.get('collate'),
+            cluster: params.get('cluster'),
+            baseline: params.get('baseline'),
+            filters: this.parseFilters(params),
+            open: (params.get('open') || '').split(',').filter(id => id.length > 0)
+        };
+    }
+    
+    /**
+     * Write current selection, filter and expanded nodes to the URL hash.
+     * User actions that change what is shown push a history entry;
+     * expanding/collapsing nodes only replaces the current one.
+     */
+    writeUrlState(push = false) {
+        if (this.restoringUrlState) return;
+        
+        const params = new URLSearchParams();
+        params.set('book', this.bookNumber);
+        if (this.selectedShloka) {
+            params.set('shloka', this.selectedShloka.id || this.selectedShloka.source_id);
+            // Later records of a duplicated ID, counted from 1
+            const entry = this.getShlokaEntry(this.selectedShloka);
+            if (entry > 0) params.set('entry', entry + 1);
+        } else if (this.collationNodeId) {
+            params.set('collate', this.collationNodeId);
+        }
+        this.serializeFilters(this.filters).forEach((value, key) => params.set(key, value));
+        if (this.clusterShlokaId) {
+            params.set('cluster', this.clusterShlokaId);
+        }
+        if (this.runBaseline && this.runBaseline.dir) {
+            params.set('baseline', this.runBaseline.dir);
+        }
+        if (this.expandedNodes.size > 0) {
+            params.set('open', [...this.expandedNodes].join(','));
+        }
+        
+        const hash = '#' + params.toString().replace(/%2C/g, ',').replace(/%2F/g, '/');
+        if (hash === window.location.hash) return;
+        
+        if (push) {
+            history.pushState(null, '', hash);
+        } else {
+            history.replaceState(null, '', hash);
+        }
+    }
+    
+    /**
+     * Apply the URL hash to the rendered dashboard (initial load and popstate)
+     */
+    async restoreUrlState() {
+        const state = this.readUrlState();
+        if (state.shloka) {
+            await this.loadShardForShloka(state.shloka).catch(error => {
+                console.warn('Could not load the linked shloka:', error);
+            });
+        }
+        if (state.baseline && !(this.runBaseline && this.runBaseline.dir === state.baseline)) {
+            this.restoringUrlState = true;
+            try {
+                await this.loadRunBaseline({ dir: state.baseline });
+            } finally {
+                this.restoringUrlState = false;
+            }
+        }
+        // A picked baseline file cannot be restored from a link
+        if (!this.runDiff) state.filters.change.clear();
+        const collation = !state.shloka && state.collate ? this.getAdhyayaEntry(state.collate) : null;
+        if (collation) {
+            await this.loadAdhyayaShard(collation.adhyaya).catch(error => {
+                console.warn('Could not load the collated adhyaya:', error);
+            });
+        }
+        
+        this.restoringUrlState = true;
+        
+        try {
+            this.setFilters(state.filters);
+            
+            [...this.expandedNodes].forEach(nodeId => this.setNodeExpanded(nodeId, false));
+            
+            // Parents first: children are only built once their parent is expanded
+            const depth = { parva: 0, upaparva: 1, adhyaya: 2 };
+            state.open
+                .slice()
+                .sort((a, b) => (depth[a.split('-')[0]] ?? 3) - (depth[b.split('-')[0]] ?? 3))
+                .forEach(nodeId => this.setNodeExpanded(nodeId, true));
+            
+            const shloka = state.shloka && this.findShloka(state.shloka, state.entry);
+            if (shloka) {
+                this.revealShloka(shloka);
+                this.selectShloka(state.shloka, state.entry);
+            } else if (collation && (collation.adhyaya.loaded || !collation.adhyaya.shard)) {
+                this.openCollation(state.collate);
+            } else {
+                this.clearSelection();
+            }
+            
+            this.clusterShlokaId = state.cluster;
+            const clusterPanel = document.getElementById('clusters');
+            if (state.cluster && !clusterPanel.open) {
+                clusterPanel.open = true;  // Renders on toggle
+            } else {
+                this.renderClusters();
+            }
+        } finally {
+            this.restoringUrlState = false;
+        }
+    }
+    
+    /**
+     * Forward deep links meant for another book (e.g. book_01.html#shloka=sriranga_10_...)
+     * @returns {boolean} True if the page is navigating away
+     */
+    redirectToLinkedBook() {
+        const state = this.readUrlState();
+        if (!state.book || state.book === this.bookNumber || state.book < 1 || state.book > 19) {
+            return false;
+        }
+        
+        window.location.replace(getBookPagePath(state.book) + window.location.hash);
+        return true;
+    }
+    
+    renderShlokaDetails(shloka) {
         const detailsPanel = document.getElementById('details-panel');
         
         const statusClass = getMatchStatusClass(shloka);
@@ -490,11 +1678,17 @@ class MahabharataDashboard {
                     <span class="detail-section-title">📜 Source (Sriranga XML)</span>
                     <span class="detail-section-badge ${statusClass}">${statusLabel}</span>
                 </div>
-                <div class="shloka-id" style="margin-bottom: 10px;">${shloka.source_id || shloka.id}</div>
-                <div class="source-text">${diffResult ? diffResult.sourceHtml : shloka.source_text}</div>
+                <div class="shloka-id" style="margin-bottom: 10px;">
+                    ${shloka.source_id || shloka.id}
+                    <button class="collation-open" data-node="${this.getTreePath(shloka).pop()}" title="All witnesses of this adhyaya, verse by verse (v)">⫼ Collate adhyaya</button>
+                </div>
+                <div class="source-text" data-diff="main">${diffResult ? diffResult.sourceHtml : shloka.source_text}</div>
+                ${this.renderDuplicateNotice(shloka)}
             </div>
         `;
         
+        html += this.renderRunChangeSection(shloka);
+        
         // Match Information
         if (shloka.has_match) {
             const similarityClass = getSimilarityClass(shloka.similarity);
@@ -534,9 +1728,18 @@ class MahabharataDashboard {
                 <div class="detail-section">
                     <div class="detail-section-header">
                         <span class="detail-section-title">${this.getCorpusIcon(shloka.match_corpus)} Matched (${this.getCorpusName(shloka.match_corpus)})</span>
-                        ${showDiff ? '<span class="diff-legend">🟢 matching | 🟡 different</span>' : ''}
+                        ${showDiff ? this.renderDiffLegend() + this.renderDiffModeToggle() : ''}
                     </div>
-                    <div class="target-text">${diffResult ? diffResult.targetHtml : (shloka.matched_target_text || 'Text not available')}</div>
+                    <div class="target-text" data-diff="main">${diffResult ? diffResult.targetHtml : (shloka.matched_target_text || 'Text not available')}</div>
+                    ${showDiff ? `
+                        ${isOrthographicVariant(shloka.source_text, shloka.matched_target_text) ? `
+                            <div class="orthographic-note">Only orthographic differences under the current normalization rules</div>
+                        ` : ''}
+                        <details class="normalization-settings">
+                            <summary>Normalization rules</summary>
+                            ${renderNormalizationTable()}
+                        </details>
+                    ` : ''}
                 </div>
                 
                 ${shloka.many_to_one && shloka.sources_sharing_target && shloka.sources_sharing_target.length > 0 ? `
@@ -544,6 +1747,7 @@ class MahabharataDashboard {
                 <div class="detail-section relationship-section">
                     <div class="detail-section-header">
                         <span class="detail-section-title">🔗 Many → One Mapping</span>
+                        <button class="cluster-open" data-id="${escapeHtml(shloka.source_id)}">🕸️ Show cluster</button>
                     </div>
                     <div class="relationship-info">
                         <p><strong>${shloka.sources_sharing_target.length + 1}</strong> Sriranga shlokas map to this same target:</p>
@@ -572,7 +1776,8 @@ class MahabharataDashboard {
                 <div class="detail-section relationship-section one-to-many-section">
                     <div class="detail-section-header">
                         <span class="detail-section-title">🔗 One → Many Mapping</span>
-                        <span class="diff-legend">🟢 matching | 🟡 different</span>
+                        ${this.renderDiffLegend()}
+                        <button class="cluster-open" data-id="${escapeHtml(shloka.source_id)}">🕸️ Show cluster</button>
                     </div>
                     <div class="relationship-info">
                         <p>This Sriranga shloka maps to <strong>${shloka.additional_target_ids.length + 1}</strong> target shlokas:</p>
@@ -612,6 +1817,8 @@ class MahabharataDashboard {
             `;
         }
         
+        html += this.renderReviewSection(shloka);
+        
         // Translation Section
         html += `
             <div class="detail-section">
@@ -695,6 +1902,30 @@ class MahabharataDashboard {
         }
         
         detailsPanel.innerHTML = html;
+        transliterateElements(detailsPanel, SANSKRIT_TEXT_SELECTOR);
+        
+        const normalizationSettings = detailsPanel.querySelector('.normalization-settings');
+        if (normalizationSettings) {
+            normalizationSettings.open = this.normalizationOpen;
+            normalizationSettings.addEventListener('toggle', () => {
+                this.normalizationOpen = normalizationSettings.open;
+            });
+            bindNormalizationTable(normalizationSettings);
+        }
+        
+        this.bindReviewSection(detailsPanel, shloka);
+        
+        detailsPanel.querySelectorAll('.diff-mode-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.setDiffMode(btn.dataset.diffMode));
+        });
+        
+        // Hovering one half of a substitution highlights its counterpart
+        detailsPanel.querySelectorAll('[data-diff] .diff-subst').forEach(el => {
+            const group = el.closest('[data-diff]').dataset.diff;
+            const partners = () => detailsPanel.querySelectorAll(`[data-diff="${group}"] .diff-subst[data-pair="${el.dataset.pair}"]`);
+            el.addEventListener('mouseenter', () => partners().forEach(p => p.classList.add('pair-active')));
+            el.addEventListener('mouseleave', () => partners().forEach(p => p.classList.remove('pair-active')));
+        });
         
         // Add click handlers for linked sources (many-to-one navigation)
         detailsPanel.querySelectorAll('.linked-source').forEach(el => {
@@ -711,36 +1942,22 @@ class MahabharataDashboard {
         return text.substring(0, maxLength) + '...';
     }
     
-    navigateToShloka(sourceId) {
+    async navigateToShloka(sourceId, entry = 0) {
+        await this.loadShardForShloka(sourceId).catch(error => {
+            console.warn('Could not load the linked shloka:', error);
+        });
+        
         // Find the shloka in data
-        const shloka = this.data.find(s => s.source_id === sourceId);
+        const shloka = this.findShloka(sourceId, entry);
         if (!shloka) return;
         
-        // Parse the source ID to get chapter info (e.g., sriranga_01_004_001 -> chapter 4)
-        const parts = sourceId.split('_');
-        const chapter = parseInt(parts[2], 10);
-        
-        // Find and expand the chapter in the tree
-        const chapterNodes = document.querySelectorAll('.chapter-item');
-        chapterNodes.forEach(node => {
-            const chapterNum = parseInt(node.dataset.chapter, 10);
-            if (chapterNum === chapter) {
-                // Expand this chapter if collapsed
-                const shlokaList = node.querySelector('.shloka-list');
-                if (shlokaList && !shlokaList.classList.contains('expanded')) {
-                    node.querySelector('.chapter-header')?.click();
-                }
-            }
-        });
+        // Linked shlokas may be hidden by the active filter
+        if (!this.matchesFilter(shloka)) {
+            this.clearFilters();
+        }
         
-        // Find and click the shloka item
-        setTimeout(() => {
-            const shlokaItem = document.querySelector(`.shloka-item[data-id="${sourceId}"]`);
-            if (shlokaItem) {
-                shlokaItem.click();
-                shlokaItem.scrollIntoView({ behavior: 'smooth', block: 'center' });
-            }
-        }, 100);
+        this.revealShloka(shloka);
+        this.selectShloka(shloka.id || shloka.source_id, entry);
     }
     
     getCorpusName(corpus) {
@@ -784,192 +2001,1379 @@ class MahabharataDashboard {
         return methodNames[method] || method.replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
     }
     
-    /**
-     * Compute word-level diff between source and target texts.
-     * Uses alignment info from metadata if available, otherwise falls back to simple word diff.
-     */
-    computeDiff(shloka) {
-        const sourceText = shloka.source_text || '';
-        const targetText = shloka.matched_target_text || '';
-        
-        // Tokenize texts (split by spaces and dandas)
-        const tokenize = (text) => {
-            // Split by spaces, keeping dandas as separate tokens
-            return text
-                .replace(/।/g, ' । ')
-                .replace(/॥/g, ' ॥ ')
-                .replace(/\s+/g, ' ')
-                .trim()
-                .split(' ')
-                .filter(t => t.length > 0);
-        };
+    formatMatchStage(stage) {
+        if (!stage) return 'Unknown';
         
-        const sourceWords = tokenize(sourceText);
-        const targetWords = tokenize(targetText);
+        // stage8_critical_edition -> Stage 8 · Critical Edition
+        const match = stage.match(/^stage(\d+)_?(.*)$/);
+        if (!match) return stage;
         
-        // Check if we have alignment info from pipeline
-        const alignment = shloka.metadata?.alignment;
-        
-        if (alignment && alignment.target_words && alignment.matched_positions) {
-            // Use pipeline alignment info for target
-            return this.diffWithAlignment(sourceWords, targetWords, alignment);
-        }
-        
-        // Fall back to simple LCS-based word diff
-        return this.diffWithLCS(sourceWords, targetWords);
+        const detail = match[2].replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+        return detail ? `Stage ${match[1]} · ${detail}` : `Stage ${match[1]}`;
     }
     
     /**
-     * Diff using alignment info from pipeline (Bloom filter matches)
+     * Align source and matched target texts for highlighting.
+     * The pipeline's metadata.alignment word lists are virama-stripped and
+     * tokenized differently, so the alignment is recomputed here.
      */
-    diffWithAlignment(sourceWords, targetWords, alignment) {
-        // Pipeline provides source_matched_positions which refer to source word indices
-        const sourceMatchedPositions = new Set(alignment.source_matched_positions || alignment.matched_positions || []);
-        
-        // For source: use the matched positions directly
-        const sourceHtml = sourceWords.map((word, idx) => {
-            // Skip dandas/numbers - don't highlight them
-            if (['।', '॥'].includes(word) || /^[०-९0-9]+$/.test(word)) {
-                return word;
-            }
-            if (sourceMatchedPositions.has(idx)) {
-                return `<span class="diff-match">${word}</span>`;
-            } else {
-                return `<span class="diff-different">${word}</span>`;
-            }
-        }).join(' ');
-        
-        // For target: we need to find which target words match source words
-        // Use word-level comparison with normalization
-        const sourceWordSet = new Set(
-            (alignment.source_words || sourceWords)
-                .map(w => this.normalizeWord(w))
-                .filter(w => w.length > 0)
-        );
-        
-        const targetHtml = targetWords.map((word, idx) => {
-            // Skip dandas/numbers
-            if (['।', '॥'].includes(word) || /^[०-९0-9]+$/.test(word)) {
-                return word;
-            }
-            if (sourceWordSet.has(this.normalizeWord(word))) {
-                return `<span class="diff-match">${word}</span>`;
-            } else {
-                return `<span class="diff-different">${word}</span>`;
-            }
-        }).join(' ');
-        
-        return { sourceHtml, targetHtml };
+    computeDiff(shloka) {
+        return this.computeDiffTexts(shloka.source_text, shloka.matched_target_text);
     }
     
     /**
-     * Simple LCS-based word diff (fallback when no alignment info)
+     * Align two text strings directly in the current diff mode (words or aksharas).
+     * Also used for additional targets in one-to-many mappings.
      */
-    diffWithLCS(sourceWords, targetWords) {
-        // Build word frequency sets for simple matching
-        const sourceWordSet = new Set(sourceWords.map(w => this.normalizeWord(w)).filter(w => w.length > 0));
-        const targetWordSet = new Set(targetWords.map(w => this.normalizeWord(w)).filter(w => w.length > 0));
-        
-        const sourceHtml = sourceWords.map(word => {
-            // Skip dandas/numbers
-            if (['।', '॥'].includes(word) || /^[०-९0-9]+$/.test(word)) {
-                return word;
-            }
-            if (targetWordSet.has(this.normalizeWord(word))) {
-                return `<span class="diff-match">${word}</span>`;
-            } else {
-                return `<span class="diff-different">${word}</span>`;
-            }
-        }).join(' ');
-        
-        const targetHtml = targetWords.map(word => {
-            // Skip dandas/numbers
-            if (['।', '॥'].includes(word) || /^[०-९0-9]+$/.test(word)) {
-                return word;
-            }
-            if (sourceWordSet.has(this.normalizeWord(word))) {
-                return `<span class="diff-match">${word}</span>`;
-            } else {
-                return `<span class="diff-different">${word}</span>`;
-            }
-        }).join(' ');
-        
-        return { sourceHtml, targetHtml };
+    computeDiffTexts(sourceText, targetText) {
+        return diffTexts(sourceText || '', targetText || '', this.getDiffOptions());
+    }
+    
+    getDiffOptions() {
+        return {
+            mode: this.diffMode,
+            normalize: token => normalizeSanskrit(token)
+        };
+    }
+    
+    renderDiffLegend() {
+        return this.diffMode === 'word'
+            ? '<span class="diff-legend">🟢 matching | 🟡 different</span>'
+            : '<span class="diff-legend"><span class="diff-delete">source only</span> <span class="diff-insert">target only</span></span>';
+    }
+    
+    renderDiffModeToggle() {
+        return `
+            <span class="diff-mode-toggle">
+                ${Object.entries(DIFF_MODES).map(([mode, config]) => `
+                    <button class="diff-mode-btn ${mode === this.diffMode ? 'active' : ''}" data-diff-mode="${mode}">${config.label}</button>
+                `).join('')}
+            </span>
+        `;
+    }
+    
+    setDiffMode(mode) {
+        if (!DIFF_MODES[mode] || mode === this.diffMode) return;
+        this.diffMode = mode;
+        localStorage.setItem('mbh-diff-mode', mode);
+        this.refreshDetails();
     }
     
     /**
-     * Compute word-level diff between two text strings directly.
-     * Used for additional targets in one-to-many mappings.
+     * Normalization rules changed: re-align the open shloka and re-index search
      */
-    computeDiffTexts(sourceText, targetText) {
-        // Tokenize texts (split by spaces and dandas)
-        const tokenize = (text) => {
-            return (text || '')
-                .replace(/।/g, ' । ')
-                .replace(/॥/g, ' ॥ ')
-                .replace(/\s+/g, ' ')
-                .trim()
-                .split(' ')
-                .filter(t => t.length > 0);
+    onNormalizationChange() {
+        this.searchIndex = null;
+        
+        const input = document.getElementById('search-input');
+        if (input && input.value.trim().length >= 2) {
+            this.runSearch(input.value);
+        }
+        this.refreshDetails();
+    }
+    
+    /**
+     * Re-render whatever the details panel shows (a shloka or a collation)
+     */
+    refreshDetails() {
+        if (this.selectedShloka) {
+            this.renderShlokaDetails(this.selectedShloka);
+        } else if (this.collationNodeId) {
+            this.renderCollation();
+        }
+    }
+    
+    // ==========================================================================
+    // Filters
+    // ==========================================================================
+    
+    createEmptyFilters() {
+        return {
+            status: new Set(),
+            corpus: new Set(),
+            relation: new Set(),
+            method: new Set(),
+            stage: new Set(),
+            change: new Set(),      // Run comparison: a RUN_CHANGE_KINDS key or 'changed'
+            similarity: [0, 100]    // Percent; narrowing it excludes unmatched shlokas
         };
+    }
+    
+    hasActiveFilters(filters = this.filters) {
+        return Object.keys(FILTER_FACETS).some(facet => filters[facet].size > 0)
+            || filters.similarity[0] > 0 || filters.similarity[1] < 100;
+    }
+    
+    /**
+     * Check a shloka against the filters (defaults to the active filters)
+     */
+    matchesFilter(shloka, filters = this.filters) {
+        for (const [facet, test] of Object.entries(FILTER_FACETS)) {
+            const values = filters[facet];
+            if (values.size > 0 && ![...values].some(value => test(shloka, value, this))) {
+                return false;
+            }
+        }
         
-        const sourceWords = tokenize(sourceText);
-        const targetWords = tokenize(targetText);
+        const [min, max] = filters.similarity;
+        if (min > 0 || max < 100) {
+            if (!shloka.has_match) return false;
+            const percent = (shloka.similarity || 0) * 100;
+            if (percent < min || percent > max) return false;
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Filters as URL parameters (only the active facets)
+     */
+    serializeFilters(filters) {
+        const params = new URLSearchParams();
+        
+        Object.keys(FILTER_FACETS).forEach(facet => {
+            if (filters[facet].size > 0) {
+                params.set(facet, [...filters[facet]].join(','));
+            }
+        });
+        
+        const [min, max] = filters.similarity;
+        if (min > 0 || max < 100) {
+            params.set('sim', `${min}-${max}`);
+        }
+        
+        return params;
+    }
+    
+    parseFilters(params) {
+        const filters = this.createEmptyFilters();
+        
+        Object.keys(FILTER_FACETS).forEach(facet => {
+            (params.get(facet) || '').split(',')
+                .filter(value => value.length > 0)
+                .forEach(value => filters[facet].add(value));
+        });
+        
+        // Single-value links from before filters were composable (#filter=ce)
+        const legacy = params.get('filter');
+        if (legacy && FILTER_VALUE_FACETS[legacy]) {
+            filters[FILTER_VALUE_FACETS[legacy]].add(legacy);
+        }
+        
+        const sim = (params.get('sim') || '').match(/^(\d+)-(\d+)$/);
+        if (sim) {
+            const min = Math.min(100, parseInt(sim[1], 10));
+            const max = Math.min(100, parseInt(sim[2], 10));
+            filters.similarity = [Math.min(min, max), Math.max(min, max)];
+        }
+        
+        return filters;
+    }
+    
+    toggleFilterValue(facet, value) {
+        const values = new Set(this.filters[facet]);
+        if (values.has(value)) {
+            values.delete(value);
+        } else {
+            values.add(value);
+        }
+        this.setFilters({ ...this.filters, [facet]: values });
+    }
+    
+    /**
+     * Restrict one facet to a single value, keeping the other facets (tree badges)
+     */
+    focusFilterValue(facet, value) {
+        if (!facet) return;
+        this.setFilters({ ...this.filters, [facet]: new Set([value]) });
+    }
+    
+    clearFilters() {
+        this.setFilters(this.createEmptyFilters());
+    }
+    
+    setFilters(filters) {
+        const changed = this.serializeFilters(filters).toString() !== this.serializeFilters(this.filters).toString();
+        this.filters = filters;
+        this.applyFilters();
         
-        // Use simple LCS-based diff
-        return this.diffWithLCS(sourceWords, targetWords);
+        if (changed) {
+            this.writeUrlState(true);
+        }
     }
     
     /**
-     * Basic Sanskrit word normalization for comparison
+     * Recompute per-node stats for the active filters (null when unfiltered)
      */
-    normalizeWord(word) {
-        if (!word) return '';
-        return word
-            .replace(/[।॥\d०१२३४५६७८९]/g, '')  // Remove dandas and numbers
-            .replace(/ं/g, 'म्')  // Anusvara to ma
-            .replace(/ः/g, '')   // Remove visarga
-            .trim()
-            .toLowerCase();
+    computeFilteredStats() {
+        if (!this.hasActiveFilters()) {
+            this.filteredStats = null;
+            this.visibleCount = this.stats.total;
+            return;
+        }
+        
+        const nodeStats = new Map();
+        const statsFor = (nodeId) => {
+            if (!nodeStats.has(nodeId)) nodeStats.set(nodeId, createStats());
+            return nodeStats.get(nodeId);
+        };
+        
+        let visibleCount = 0;
+        
+        for (const [parvaKey, parva] of Object.entries(this.hierarchy)) {
+            const parvaId = `parva-${parvaKey}`;
+            statsFor(parvaId);
+            
+            for (const [upaparvaKey, upaparva] of Object.entries(parva.upaparvas)) {
+                const upaparvaId = `upaparva-${parvaKey}-${upaparvaKey}`;
+                statsFor(upaparvaId);
+                
+                for (const [adhyayaKey, adhyaya] of Object.entries(upaparva.adhyayas)) {
+                    const adhyayaId = `adhyaya-${parvaKey}-${upaparvaKey}-${adhyayaKey}`;
+                    statsFor(adhyayaId);
+                    
+                    for (const shloka of adhyaya.shlokas) {
+                        if (!this.matchesFilter(shloka)) continue;
+                        visibleCount++;
+                        [parvaId, upaparvaId, adhyayaId].forEach(id => addShlokaToStats(statsFor(id), shloka));
+                    }
+                }
+            }
+        }
+        
+        this.filteredStats = nodeStats;
+        this.visibleCount = visibleCount;
     }
     
-    applyFilter(filter) {
-        this.currentFilter = filter;
+    getNodeStats(nodeId, fallback) {
+        return (this.filteredStats && this.filteredStats.get(nodeId)) || fallback;
+    }
+    
+    applyFilters() {
+        const filters = this.filters;
+        const active = this.hasActiveFilters();
         
-        // Update active button
+        // Update active buttons
         document.querySelectorAll('.filter-btn').forEach(btn => {
-            btn.classList.remove('active');
-            if (btn.dataset.filter === filter) {
-                btn.classList.add('active');
-            }
-        });
-        
-        // Apply filter to shloka items
-        document.querySelectorAll('.shloka-item').forEach(item => {
-            let show = false;
-            
-            if (filter === 'all') {
-                show = true;
-            } else if (filter === 'matched' || filter === 'partial' || filter === 'unmatched') {
-                // Status filters - match against data-filter attribute
-                show = item.dataset.filter === filter;
-            } else if (filter === 'mndutt' || filter === 'ce' || filter === 'sarit') {
-                // Corpus filters
-                show = item.dataset.corpus === filter;
-            } else if (filter === 'many-to-one') {
-                // Many sources → one target
-                show = item.dataset.manyToOne === 'true';
-            } else if (filter === 'one-to-many') {
-                // One source → many targets
-                show = item.dataset.oneToMany === 'true';
-            }
-            
-            if (show) {
-                item.classList.remove('hidden');
-            } else {
-                item.classList.add('hidden');
+            const facet = btn.dataset.facet;
+            btn.classList.toggle('active', facet ? filters[facet].has(btn.dataset.value) : !active);
+        });
+        
+        const [min, max] = filters.similarity;
+        const minInput = document.getElementById('similarity-min');
+        const maxInput = document.getElementById('similarity-max');
+        if (minInput && maxInput) {
+            minInput.value = min;
+            maxInput.value = max;
+            document.getElementById('similarity-label').textContent = `${min}–${max}%`;
+        }
+        
+        const summary = document.getElementById('filter-summary');
+        
+        // Filtered counts cover every shloka: chunked books load the rest first
+        if (active && !this.whenBookLoaded(summary, () => this.applyFilters())) return;
+        
+        this.computeFilteredStats();
+        
+        if (summary) {
+            summary.innerHTML = active
+                ? `Showing ${formatNumber(this.visibleCount)} of ${formatNumber(this.stats.total)} shlokas
+                   <button class="filter-clear">Clear filters</button>`
+                : '';
+        }
+        
+        // Update counts on rendered tree nodes and hide empty branches
+        this.container.querySelectorAll('.tree-node').forEach(node => {
+            const stats = this.getNodeStats(node.dataset.id, this.getHierarchyNode(node).stats);
+            node.querySelector('.tree-indicators').innerHTML = this.renderTreeIndicators(stats, node.dataset.id);
+            node.closest('.tree-item').classList.toggle('hidden', stats.total === 0);
+        });
+        
+        // Re-filter the rendered shloka lists
+        this.shlokaLists.forEach(list => {
+            list.visible = this.getListRows(list);
+            this.updateShlokaList(list, true);
+        });
+        
+        this.renderExportBar();
+    }
+    
+    // ==========================================================================
+    // Review
+    // ==========================================================================
+    
+    async loadReviews() {
+        try {
+            const records = await this.reviewStore.getAll(this.bookNumber);
+            this.reviews = new Map(records.map(record => [record.key, record]));
+        } catch (error) {
+            // Reviewing is optional: the dashboard still works read-only
+            this.reviewError = error.message;
+            console.warn('Review decisions unavailable:', error);
+        }
+    }
+    
+    /**
+     * Count reviewed shlokas per tree node for the tree badges
+     */
+    countReviews() {
+        this.reviewCounts = new Map();
+        const count = (path) => path.forEach(nodeId => {
+            this.reviewCounts.set(nodeId, (this.reviewCounts.get(nodeId) || 0) + 1);
+        });
+        
+        this.data.forEach(shloka => {
+            if (this.reviews.has(this.getShlokaKey(shloka))) count(this.getTreePath(shloka));
+        });
+        
+        // Shlokas in adhyayas not loaded yet are placed by the chapter in their ID
+        if (this.pendingShards > 0) {
+            this.reviews.forEach(review => {
+                const entry = this.findAdhyayaEntries(review.id)[0];
+                if (entry && !entry.adhyaya.loaded) count(entry.path);
+            });
+        }
+    }
+    
+    renderReviewBreakdown() {
+        const counts = {};
+        this.reviews.forEach(review => {
+            counts[review.decision] = (counts[review.decision] || 0) + 1;
+        });
+        return Object.entries(REVIEW_DECISIONS)
+            .map(([decision, config]) => `${config.label}: ${counts[decision] || 0}`)
+            .join(', ');
+    }
+    
+    renderReviewSection(shloka) {
+        const review = this.reviews.get(this.getShlokaKey(shloka));
+        const decision = review ? review.decision : null;
+        
+        return `
+            <!-- Review Section -->
+            <div class="detail-section review-section">
+                <div class="detail-section-header">
+                    <span class="detail-section-title">📝 Review</span>
+                    ${review ? `
+                        <span class="review-status ${decision}">
+                            ${REVIEW_DECISIONS[decision].icon} ${REVIEW_DECISIONS[decision].title}
+                            · ${new Date(review.reviewed_at).toLocaleDateString()}
+                        </span>
+                    ` : ''}
+                </div>
+                ${this.reviewError ? `
+                    <p class="review-error">Decisions cannot be saved: ${escapeHtml(this.reviewError)}</p>
+                ` : `
+                    <div class="review-controls">
+                        ${Object.entries(REVIEW_DECISIONS).map(([key, config]) => `
+                            <button class="review-btn ${key} ${key === decision ? 'active' : ''}" data-decision="${key}"
+                                    ${key !== 'override' && !shloka.has_match ? 'disabled' : ''}>
+                                ${config.icon} ${config.label}
+                            </button>
+                        `).join('')}
+                    </div>
+                    <input type="text" class="review-target ${decision === 'override' ? '' : 'hidden'}"
+                           placeholder="Correct target ID, e.g. critical_10_001_0001"
+                           value="${review && review.target_id ? escapeHtml(review.target_id) : ''}">
+                    <textarea class="review-note" rows="2" placeholder="Note (optional)">${review ? escapeHtml(review.note || '') : ''}</textarea>
+                    <div class="review-actions">
+                        <button class="review-save">Save decision</button>
+                        ${review ? '<button class="review-remove">Remove decision</button>' : ''}
+                        <span class="review-message"></span>
+                    </div>
+                `}
+            </div>
+        `;
+    }
+    
+    bindReviewSection(detailsPanel, shloka) {
+        const section = detailsPanel.querySelector('.review-section');
+        if (!section || this.reviewError) return;
+        
+        const targetInput = section.querySelector('.review-target');
+        const message = section.querySelector('.review-message');
+        
+        section.querySelectorAll('.review-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                section.querySelectorAll('.review-btn').forEach(b => b.classList.toggle('active', b === btn));
+                targetInput.classList.toggle('hidden', btn.dataset.decision !== 'override');
+                if (btn.dataset.decision === 'override') targetInput.focus();
+            });
+        });
+        
+        section.querySelector('.review-save').addEventListener('click', async () => {
+            const active = section.querySelector('.review-btn.active');
+            if (!active) {
+                message.textContent = 'Choose accept, reject or override first.';
+                return;
+            }
+            
+            const targetId = targetInput.value.trim();
+            if (active.dataset.decision === 'override' && !targetId) {
+                message.textContent = 'Enter the correct target ID.';
+                targetInput.focus();
+                return;
+            }
+            
+            await this.saveReview(shloka, {
+                decision: active.dataset.decision,
+                target_id: active.dataset.decision === 'override' ? targetId : null,
+                note: section.querySelector('.review-note').value.trim()
+            }).catch(error => {
+                message.textContent = `Could not save: ${error.message}`;
+            });
+        });
+        
+        const removeBtn = section.querySelector('.review-remove');
+        if (removeBtn) {
+            removeBtn.addEventListener('click', () => {
+                this.removeReview(shloka).catch(error => {
+                    message.textContent = `Could not remove: ${error.message}`;
+                });
+            });
+        }
+    }
+    
+    async saveReview(shloka, { decision, target_id, note }) {
+        const key = this.getShlokaKey(shloka);
+        const record = await this.reviewStore.save({
+            key,
+            id: shloka.id || shloka.source_id,
+            book: this.bookNumber,
+            decision,
+            original_target_id: shloka.matched_target_id || null,
+            target_id,
+            note,
+            reviewed_at: new Date().toISOString()
+        });
+        
+        this.reviews.set(key, record);
+        this.onReviewsChanged(shloka);
+    }
+    
+    async removeReview(shloka) {
+        const key = this.getShlokaKey(shloka);
+        await this.reviewStore.remove(key);
+        
+        this.reviews.delete(key);
+        this.onReviewsChanged(shloka);
+    }
+    
+    /**
+     * Refresh everything that shows review state after a decision changes
+     */
+    onReviewsChanged(shloka) {
+        this.countReviews();
+        this.renderStatsBar();
+        this.container.querySelectorAll('.tree-node').forEach(node => {
+            const stats = this.getNodeStats(node.dataset.id, this.getHierarchyNode(node).stats);
+            node.querySelector('.tree-indicators').innerHTML = this.renderTreeIndicators(stats, node.dataset.id);
+        });
+        this.shlokaLists.forEach(list => this.updateShlokaList(list, true));
+        
+        if (this.selectedShloka === shloka) {
+            this.renderShlokaDetails(shloka);
+        }
+    }
+    
+    /**
+     * Download every stored decision (all books) as the pipeline's corrections file
+     */
+    async exportCorrections() {
+        try {
+            const records = await this.reviewStore.getAll();
+            downloadFile(buildCorrectionsFile(records), 'match_corrections.json', 'application/json');
+        } catch (error) {
+            alert(`Could not export review decisions: ${error.message}`);
+        }
+    }
+    
+    // ==========================================================================
+    // Export
+    // ==========================================================================
+    
+    /**
+     * Shlokas an export would write: the current filters, limited to the
+     * last clicked tree node if there is one
+     */
+    getExportRows() {
+        return collectExportRows(this.hierarchy, s => this.matchesFilter(s), this.exportScope || {});
+    }
+    
+    /**
+     * Number of shlokas an export would write, from the index stats while
+     * adhyayas of a chunked book are still unloaded
+     */
+    getExportCount() {
+        if (this.isBookLoaded()) return this.getExportRows().length;
+        return this.exportScope ? this.getHierarchyEntry(this.exportScope).stats.total : this.stats.total;
+    }
+    
+    setExportScope(scope) {
+        this.exportScope = scope;
+        this.renderExportBar();
+    }
+    
+    renderExportBar() {
+        const bar = document.getElementById('export-bar');
+        if (!bar) return;
+        
+        const count = this.getExportCount();
+        const scope = this.exportScope;
+        
+        bar.innerHTML = `
+            <span class="export-label">
+                ⬇ Export ${formatNumber(count)} shlokas${scope ? ` in <strong>${escapeHtml(scope.label)}</strong>` : ''}
+                ${scope ? '<button class="export-scope-clear" title="Export the whole book">whole book</button>' : ''}
+            </span>
+            <span class="export-formats">
+                ${Object.entries(EXPORT_FORMATS).map(([format, config]) => `
+                    <button class="export-btn" data-format="${format}" ${count === 0 ? 'disabled' : ''}>${config.label}</button>
+                `).join('')}
+            </span>
+        `;
+    }
+    
+    exportShlokas(format) {
+        const config = EXPORT_FORMATS[format];
+        if (!config) return;
+        if (!this.whenBookLoaded(null, () => this.exportShlokas(format))) return;
+        
+        const rows = this.getExportRows();
+        const scopeName = this.exportScope
+            ? [this.exportScope.parva, this.exportScope.upaparva, this.exportScope.adhyaya].filter(Boolean).join('_')
+            : 'all';
+        const filename = `book_${String(this.bookNumber).padStart(2, '0')}_${scopeName}.${config.extension}`;
+        
+        const content = formatExport(rows, format, {
+            title: `Mahabharata Book ${this.bookNumber}${this.exportScope ? ` – ${this.exportScope.label}` : ''}`,
+            book: this.bookNumber,
+            filters: this.serializeFilters(this.filters).toString(),
+            scope: this.exportScope ? this.exportScope.label : null
+        });
+        
+        downloadFile(content, filename, config.mime);
+    }
+    
+    // ==========================================================================
+    // Collation
+    // All witnesses of one adhyaya verse by verse, in place of the shloka details
+    // ==========================================================================
+    
+    /**
+     * Open the collation of an adhyaya, loading its shard first for chunked books
+     */
+    async showCollation(nodeId) {
+        const entry = this.getAdhyayaEntry(nodeId);
+        if (!entry) return;
+        
+        const detailsPanel = document.getElementById('details-panel');
+        if (entry.adhyaya.shard && !entry.adhyaya.loaded) {
+            detailsPanel.innerHTML = '<div class="shard-status">Loading shlokas…</div>';
+        }
+        
+        try {
+            await this.loadAdhyayaShard(entry.adhyaya);
+        } catch (error) {
+            detailsPanel.innerHTML = `<div class="shard-status error">Could not load this adhyaya: ${escapeHtml(error.message)}</div>`;
+            return;
+        }
+        
+        this.openCollation(nodeId);
+    }
+    
+    openCollation(nodeId) {
+        this.collationNodeId = nodeId;
+        this.selectedShloka = null;
+        this.container.querySelectorAll('.shloka-item.selected').forEach(el => {
+            el.classList.remove('selected');
+        });
+        
+        this.renderCollation();
+        this.switchToDetailsTab();
+        this.writeUrlState(true);
+    }
+    
+    collateFocusedAdhyaya() {
+        const nodeId = this.getFocusedNodeId();
+        if (nodeId && nodeId.startsWith('adhyaya-')) {
+            this.showCollation(nodeId);
+        }
+    }
+    
+    renderCollation() {
+        const entry = this.getAdhyayaEntry(this.collationNodeId);
+        const detailsPanel = document.getElementById('details-panel');
+        const legend = this.diffMode === 'word'
+            ? '<span class="diff-legend"><span class="diff-different">variant</span></span>'
+            : '<span class="diff-legend"><span class="diff-delete">Sriranga only</span> <span class="diff-insert">witness only</span></span>';
+        
+        detailsPanel.innerHTML = `
+            <div class="detail-section collation-section">
+                <div class="detail-section-header">
+                    <span class="detail-section-title">⫼ Collation · ${escapeHtml(entry.label)}</span>
+                    ${legend}${this.renderDiffModeToggle()}
+                </div>
+                <p class="collation-hint">
+                    Each witness is aligned against the Sriranga reading. Marked words are variants;
+                    a grey cell means the witness has no parallel. Click a verse number to open the shloka.
+                </p>
+                ${renderCollationTable(entry.adhyaya.shlokas, this.getDiffOptions())}
+            </div>
+        `;
+        
+        transliterateElements(detailsPanel, SANSKRIT_TEXT_SELECTOR);
+        detailsPanel.querySelectorAll('.diff-mode-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.setDiffMode(btn.dataset.diffMode));
+        });
+    }
+    
+    // ==========================================================================
+    // Duplicate IDs and Verse Gaps
+    // A shloka ID may occur more than once in the source; its records are told
+    // apart by their entry (the n-th record with that ID in this.data). Verses
+    // the quality report lists as missing get placeholder rows.
+    // ==========================================================================
+    
+    async loadQuality() {
+        try {
+            const { data } = await dataStore.loadBookQuality(this.bookNumber);
+            this.quality = data;
+        } catch (error) {
+            // The report is optional: without it the tree has no gap markers
+            console.warn('Quality report unavailable:', error);
+        }
+    }
+    
+    /**
+     * Count the records of every ID; only IDs seen more than once are kept,
+     * with the key of each of their records
+     */
+    countDuplicates() {
+        const counts = new Map();
+        this.data.forEach(shloka => {
+            const id = shloka.id || shloka.source_id;
+            counts.set(id, (counts.get(id) || 0) + 1);
+        });
+        this.duplicateCounts = new Map([...counts].filter(([, count]) => count > 1));
+        
+        const keys = getRecordKeys(this.data);
+        this.recordKeys = new Map();
+        this.data.forEach((shloka, i) => {
+            if (this.duplicateCounts.has(shloka.id || shloka.source_id)) this.recordKeys.set(shloka, keys[i]);
+        });
+    }
+    
+    /**
+     * Missing verse numbers per adhyaya, from the quality report gaps (listed by chapter)
+     */
+    indexVerseGaps() {
+        this.verseGaps = new Map();
+        const gaps = (this.quality && this.quality.gaps) || [];
+        if (gaps.length === 0) return;
+        
+        this.adhyayaEntries.forEach(({ path, adhyaya }) => {
+            const chapters = adhyaya.chapters || [...new Set(adhyaya.shlokas.map(s => s.chapter))];
+            const missing = gaps
+                .filter(gap => chapters.includes(gap.chapter))
+                .flatMap(gap => gap.missing_numbers);
+            if (missing.length > 0) {
+                this.verseGaps.set(path[2], missing.sort((a, b) => a - b));
+            }
+        });
+    }
+    
+    /**
+     * Records sharing a shloka ID, in entry order
+     */
+    getShlokaEntries(shlokaId) {
+        return this.data
+            .filter(s => (s.id || s.source_id) === shlokaId)
+            .sort((a, b) => this.getShlokaEntry(a) - this.getShlokaEntry(b));
+    }
+    
+    /**
+     * Record of a shloka ID, `entry` counting from 0 among records sharing the ID
+     * @returns {object|null}
+     */
+    findShloka(shlokaId, entry = 0) {
+        return this.getShlokaEntries(shlokaId)[entry] || null;
+    }
+    
+    /**
+     * Key of a record (getRecordKeys): its ID, plus #n when the ID is shared
+     */
+    getShlokaKey(shloka) {
+        return this.recordKeys.get(shloka) || shloka.id || shloka.source_id;
+    }
+    
+    /**
+     * Entry of a record among the records sharing its ID (0 when the ID is unique)
+     */
+    getShlokaEntry(shloka) {
+        return parseRecordKey(this.getShlokaKey(shloka)).entry;
+    }
+    
+    /**
+     * Rows of a shloka list: the shlokas passing the filters and, while no
+     * filter is active, a placeholder for every missing verse
+     */
+    getListRows(list) {
+        const rows = list.shlokas.filter(s => this.matchesFilter(s));
+        if (list.gaps.length === 0 || this.hasActiveFilters()) return rows;
+        
+        const verseOf = (shloka) => parseSrirangaId(shloka.source_id || shloka.id).verseNumeric;
+        const merged = [];
+        let next = 0;
+        rows.forEach(shloka => {
+            while (next < list.gaps.length && list.gaps[next] < verseOf(shloka)) {
+                merged.push({ gap: true, verse: list.gaps[next++] });
+            }
+            merged.push(shloka);
+        });
+        list.gaps.slice(next).forEach(verse => merged.push({ gap: true, verse }));
+        return merged;
+    }
+    
+    renderGapRow(row, index, size) {
+        return `
+            <div class="shloka-item shloka-gap" role="treeitem" aria-disabled="true"
+                 aria-posinset="${index + 1}" aria-setsize="${size}" style="top: ${index * SHLOKA_ROW_HEIGHT}px;">
+                <div class="shloka-id">⚠ Verse ${row.verse} missing</div>
+                <div class="shloka-preview">No shloka with this verse number in the source</div>
+            </div>
+        `;
+    }
+    
+    /**
+     * Tree marker for an adhyaya with missing verses
+     */
+    renderGapMarker(nodeId) {
+        const missing = this.verseGaps.get(nodeId);
+        if (!missing) return '';
+        
+        const listed = missing.slice(0, 10).join(', ') + (missing.length > 10 ? ', …' : '');
+        return `<span class="tree-gaps" title="Missing verses: ${listed}">${this.renderBadgeText(`⚠ ${missing.length} missing`, `${missing.length} missing verse${missing.length === 1 ? '' : 's'}`)}</span>`;
+    }
+    
+    /**
+     * Row marker for a record whose ID is shared: "entry of count"
+     */
+    renderDuplicateBadge(shloka, entry) {
+        const count = this.duplicateCounts.get(shloka.id || shloka.source_id);
+        if (!count) return '';
+        return `<span class="duplicate-badge" title="Duplicate ID: record ${entry + 1} of ${count} with this ID">${this.renderBadgeText(`⚠ ${entry + 1}/${count}`, `duplicate ID, record ${entry + 1} of ${count}`)}</span>`;
+    }
+    
+    /**
+     * Notice in the shloka details listing the other records with the same ID
+     */
+    renderDuplicateNotice(shloka) {
+        const id = shloka.id || shloka.source_id;
+        if (!this.duplicateCounts.has(id)) return '';
+        
+        const entries = this.getShlokaEntries(id);
+        const current = entries.indexOf(shloka);
+        const identical = entries.every(other => other.source_text === shloka.source_text);
+        
+        return `
+            <div class="duplicate-notice">
+                ⚠️ ${entries.length} records share this ID (${identical ? 'identical texts' : 'texts differ'}); this is record ${current + 1}.
+                ${entries.map((other, i) => i === current ? '' : `
+                    <button class="duplicate-entry" data-id="${escapeHtml(id)}" data-entry="${i}"
+                            title="${escapeHtml(truncateText(other.source_text, 80))}">Open record ${i + 1}</button>
+                `).join('')}
+            </div>
+        `;
+    }
+    
+    // ==========================================================================
+    // Run Comparison
+    // Changes against an earlier pipeline run (see rundiff.js), loaded from a
+    // baseline directory or a file picked from disk, shown as tree badges and
+    // browsable through the "change" filter facet
+    // ==========================================================================
+    
+    renderRunDiff() {
+        const body = document.getElementById('run-diff-body');
+        const diff = this.runDiff;
+        const dir = (this.runBaseline && this.runBaseline.dir) || DATA_PATHS.mappings.baselineDir;
+        
+        document.getElementById('run-diff-summary').textContent = diff
+            ? `🔀 Compared with ${this.runBaseline.source}: ${formatNumber(diff.counts.changed)} changed`
+            : '🔀 Compare with another run';
+        
+        body.innerHTML = `
+            <div class="run-diff-source">
+                <label>Baseline directory <input type="text" id="run-diff-dir" class="run-diff-dir" value="${escapeHtml(dir)}"></label>
+                <button class="run-diff-load">Load</button>
+                <label class="run-diff-file">or a file <input type="file" id="run-diff-file" accept=".json,application/json"></label>
+            </div>
+            <label class="run-diff-threshold">
+                Report similarity moves over
+                <input type="number" id="run-diff-threshold" min="0" max="100" step="1" value="${Math.round(this.runThreshold * 100)}">%
+            </label>
+            <div id="run-diff-status"></div>
+            ${diff ? `
+                <div class="run-diff-counts">
+                    ${formatNumber(diff.counts.changed)} of ${formatNumber(this.data.length)} shlokas changed
+                    ${diff.removed.length > 0 ? ` · <span title="${escapeHtml(diff.removed.slice(0, 20).join(', '))}${diff.removed.length > 20 ? ', …' : ''}">${formatNumber(diff.removed.length)} baseline shlokas no longer present</span>` : ''}
+                    <button class="run-diff-clear">Clear comparison</button>
+                </div>
+                <div class="filter-group">
+                    <button class="filter-btn run-change" data-facet="change" data-value="changed">Δ All changes (${formatNumber(diff.counts.changed)})</button>
+                    ${Object.entries(RUN_CHANGE_KINDS).filter(([kind]) => diff.counts[kind] > 0).map(([kind, { label, badge }]) => `
+                        <button class="filter-btn run-change" data-facet="change" data-value="${kind}">${badge} ${label} (${formatNumber(diff.counts[kind])})</button>
+                    `).join('')}
+                </div>
+            ` : ''}
+        `;
+        
+        document.getElementById('run-diff-file').addEventListener('change', (e) => {
+            if (e.target.files.length > 0) this.loadRunBaseline({ file: e.target.files[0] });
+        });
+        document.getElementById('run-diff-threshold').addEventListener('change', (e) => {
+            const percent = Math.max(0, Math.min(100, parseFloat(e.target.value) || 0));
+            this.runThreshold = percent / 100;
+            if (this.runBaseline) this.compareRunBaseline();
+        });
+    }
+    
+    /**
+     * Load a baseline run and compare the book against it
+     * @param {object} source - { dir } baseline directory, or { file } picked from disk
+     * @returns {Promise<boolean>} False when the baseline could not be loaded
+     */
+    async loadRunBaseline({ dir = null, file = null }) {
+        const status = document.getElementById('run-diff-status');
+        status.innerHTML = '<div class="shard-status">Loading the baseline run…</div>';
+        
+        try {
+            // Every current record takes part in the comparison
+            await this.ensureAllShards();
+            const { data } = file
+                ? await dataStore.readLocalFile(file, 'mappings')
+                : await dataStore.loadBaselineMappings(this.bookNumber, dir);
+            this.runBaseline = {
+                records: this.keepRecords(data),
+                source: file ? file.name : DATA_PATHS.mappings.baseline(dir, this.bookNumber),
+                dir: file ? null : dir
+            };
+        } catch (error) {
+            status.innerHTML = `<div class="shard-status error">Could not load the baseline run: ${escapeHtml(error.message)}</div>`;
+            console.error('Baseline loading error:', error);
+            return false;
+        }
+        
+        this.compareRunBaseline();
+        this.writeUrlState(true);
+        return true;
+    }
+    
+    clearRunBaseline() {
+        this.runBaseline = null;
+        this.compareRunBaseline();
+        this.writeUrlState(true);
+    }
+    
+    /**
+     * Recompare against the baseline (after loading it or changing the threshold)
+     */
+    compareRunBaseline() {
+        this.runDiff = this.runBaseline
+            ? compareRuns(this.data, this.runBaseline.records, { threshold: this.runThreshold })
+            : null;
+        this.countRunChanges();
+        
+        // Change filters mean nothing without a comparison
+        if (!this.runDiff && this.filters.change.size > 0) {
+            this.filters = { ...this.filters, change: new Set() };
+        }
+        
+        this.renderRunDiff();
+        this.applyFilters();
+        if (this.selectedShloka) {
+            this.renderShlokaDetails(this.selectedShloka);
+        }
+    }
+    
+    /**
+     * Count changed shlokas per tree node for the tree badges
+     */
+    countRunChanges() {
+        this.runChangeCounts = new Map();
+        if (!this.runDiff) return;
+        
+        this.runDiff.changes.forEach((change, shloka) => {
+            this.getTreePath(shloka).forEach(nodeId => {
+                this.runChangeCounts.set(nodeId, (this.runChangeCounts.get(nodeId) || 0) + 1);
+            });
+        });
+    }
+    
+    /**
+     * Test for the "change" filter facet
+     * @param {string} value - A RUN_CHANGE_KINDS key, or 'changed' for any change
+     */
+    hasRunChange(shloka, value) {
+        const change = this.runDiff && this.runDiff.changes.get(shloka);
+        return !!change && (value === 'changed' || change.kinds.includes(value));
+    }
+    
+    renderRunChangeBadge(shloka) {
+        const change = this.runDiff && this.runDiff.changes.get(shloka);
+        if (!change) return '';
+        
+        const title = change.kinds.map(kind => RUN_CHANGE_KINDS[kind].label).join(' · ');
+        const badge = `Δ${change.kinds.map(kind => RUN_CHANGE_KINDS[kind].badge).join('')}`;
+        return `<span class="run-change-badge" title="Since the baseline run: ${title}">${this.renderBadgeText(badge, `changed since the baseline run: ${title}`)}</span>`;
+    }
+    
+    /**
+     * Baseline and current match of a changed shloka, side by side
+     */
+    renderRunChangeSection(shloka) {
+        const change = this.runDiff && this.runDiff.changes.get(shloka);
+        if (!change) return '';
+        
+        const { before, kinds } = change;
+        const similarity = (record) => (record.has_match ? `${((record.similarity || 0) * 100).toFixed(1)}%` : '–');
+        const fields = [
+            ['Match', r => (r.has_match ? '✓' : '✗'), kinds.includes('gained') || kinds.includes('lost')],
+            ['Target', r => escapeHtml(r.matched_target_id || '–'), kinds.includes('target')],
+            ['Corpus', r => (r.match_corpus ? this.getCorpusName(r.match_corpus) : '–'), kinds.includes('corpus')],
+            ['Stage', r => (r.match_stage ? this.formatMatchStage(r.match_stage) : '–'), kinds.includes('stage')],
+            ['Similarity', similarity, kinds.includes('similarity')],
+        ];
+        const delta = before && before.has_match && shloka.has_match
+            ? ((shloka.similarity || 0) - (before.similarity || 0)) * 100
+            : null;
+        
+        return `
+            <div class="detail-section run-change-section">
+                <div class="detail-section-header">
+                    <span class="detail-section-title">🔀 Changed since the baseline run</span>
+                    <span class="run-change-kinds">${kinds.map(kind => RUN_CHANGE_KINDS[kind].label).join(' · ')}</span>
+                </div>
+                ${before ? `
+                    <table class="run-change-table">
+                        <thead>
+                            <tr><th></th><th>Baseline</th><th>Current</th></tr>
+                        </thead>
+                        <tbody>
+                            ${fields.map(([label, format, changed]) => `
+                                <tr class="${changed ? 'changed' : ''}">
+                                    <th>${label}</th>
+                                    <td>${format(before)}</td>
+                                    <td>${format(shloka)}${label === 'Similarity' && delta !== null && changed ? ` (${delta > 0 ? '+' : ''}${delta.toFixed(1)})` : ''}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                ` : `
+                    <p class="run-change-new">This shloka is not in the baseline run (${escapeHtml(this.runBaseline.source)}).</p>
+                `}
+            </div>
+        `;
+    }
+    
+    // ==========================================================================
+    // Chunked Books
+    // Books published as an index plus one shard per adhyaya (see shards.js)
+    // load each adhyaya's shlokas when it is opened. Features that work on
+    // the whole book (search, filters, keyboard stepping, export, heatmap)
+    // load the remaining shards first.
+    // ==========================================================================
+    
+    /**
+     * True when every shloka of the book is in this.data (always for single-file books)
+     */
+    isBookLoaded() {
+        return this.pendingShards === 0;
+    }
+    
+    /**
+     * Load one adhyaya's shard into the hierarchy and this.data
+     * @param {object} adhyaya - Adhyaya entry from hierarchyFromBookIndex()
+     * @returns {Promise<Array>} The adhyaya's shlokas
+     */
+    loadAdhyayaShard(adhyaya) {
+        if (!adhyaya.shard || adhyaya.loaded) return Promise.resolve(adhyaya.shlokas);
+        
+        if (!adhyaya.loading) {
+            adhyaya.loading = dataStore.loadBookShard(this.bookNumber, adhyaya.shard).then(({ data, diagnostics }) => {
+                adhyaya.shlokas = this.keepRecords(data);
+                adhyaya.loaded = true;
+                this.data.push(...adhyaya.shlokas);
+                this.pendingShards--;
+                this.countDuplicates();
+                
+                // Built from the loaded shlokas, so rebuilt on next use
+                this.searchIndex = null;
+                this.orderedShlokas = null;
+                this.heatmapColumns = null;
+                this.clusters = null;
+                
+                if (diagnostics.issues.length > 0) {
+                    this.diagnostics.push({ ...diagnostics, label: `${diagnostics.label}: ${adhyaya.name}` });
+                    this.renderDiagnostics();
+                }
+                return adhyaya.shlokas;
+            }).finally(() => {
+                adhyaya.loading = null;
+            });
+        }
+        return adhyaya.loading;
+    }
+    
+    /**
+     * Load every shard not loaded yet
+     */
+    ensureAllShards() {
+        if (this.isBookLoaded()) return Promise.resolve();
+        
+        if (!this.shardsLoading) {
+            const pending = this.adhyayaEntries.filter(entry => !entry.adhyaya.loaded);
+            this.shardsLoading = Promise.all(pending.map(entry => this.loadAdhyayaShard(entry.adhyaya)))
+                .finally(() => {
+                    this.shardsLoading = null;
+                });
+        }
+        return this.shardsLoading;
+    }
+    
+    /**
+     * Run a whole-book feature now, or once the remaining shards are loaded
+     * @param {HTMLElement} status - Element showing progress meanwhile (optional)
+     * @param {Function} action - Called again when the book is complete
+     * @returns {boolean} True when the book is already complete and the caller can go on
+     */
+    whenBookLoaded(status, action) {
+        if (this.isBookLoaded()) return true;
+        
+        if (status) {
+            status.innerHTML = `<div class="shard-status">Loading the remaining ${formatNumber(this.pendingShards)} adhyayas…</div>`;
+        }
+        this.ensureAllShards().then(action, error => {
+            if (status) {
+                status.innerHTML = `<div class="shard-status error">Could not load the whole book: ${escapeHtml(error.message)}</div>`;
             }
+            console.error('Shard loading error:', error);
+        });
+        return false;
+    }
+    
+    /**
+     * Entry of this.adhyayaEntries for an adhyaya tree node id
+     */
+    getAdhyayaEntry(nodeId) {
+        return this.adhyayaEntries.find(entry => entry.path[2] === nodeId) || null;
+    }
+    
+    /**
+     * Adhyayas that may hold a shloka, by the chapter in its ID
+     * @returns {Array} Entries of this.adhyayaEntries (empty for single-file books)
+     */
+    findAdhyayaEntries(shlokaId) {
+        if (!this.bookIndex) return [];
+        
+        const chapter = parseSrirangaId(shlokaId).chapter;
+        return this.adhyayaEntries.filter(entry => (entry.adhyaya.chapters || []).includes(chapter));
+    }
+    
+    /**
+     * Make sure a shloka is loaded before it is looked up in this.data
+     */
+    async loadShardForShloka(shlokaId) {
+        if (this.isBookLoaded()) return;
+        
+        const entries = this.findAdhyayaEntries(shlokaId);
+        if (entries.length === 0) {
+            // No chapter in the ID to go by
+            await this.ensureAllShards();
+        } else {
+            await Promise.all(entries.map(entry => this.loadAdhyayaShard(entry.adhyaya)));
+        }
+    }
+    
+    // ==========================================================================
+    // Similarity Heatmap
+    // ==========================================================================
+    
+    /**
+     * Adhyayas in tree order with the similarities of their matches per corpus
+     * @returns {Array} [{ path, label, total, byCorpus: { corpus: [similarity] } }]
+     */
+    buildHeatmapColumns() {
+        return this.adhyayaEntries.map(({ path, label, adhyaya }) => {
+            const byCorpus = Object.fromEntries(HEATMAP_CORPORA.map(corpus => [corpus, []]));
+            
+            adhyaya.shlokas.forEach(shloka => {
+                if (shloka.has_match && byCorpus[shloka.match_corpus]) {
+                    byCorpus[shloka.match_corpus].push(shloka.similarity || 0);
+                }
+            });
+            
+            return { path, label, total: adhyaya.shlokas.length, byCorpus };
+        });
+    }
+    
+    /**
+     * Colour for a similarity: red below 50%, through yellow, to green at 100%
+     */
+    getHeatmapColor(similarity) {
+        const hue = Math.max(0, Math.min(1, (similarity - 0.5) / 0.5)) * 120;
+        return `hsl(${hue.toFixed(0)}, 65%, 50%)`;
+    }
+    
+    getHeatmapValue(similarities, metric = this.heatmapMetric) {
+        if (similarities.length === 0) return null;
+        if (metric === 'min') return Math.min(...similarities);
+        return similarities.reduce((sum, s) => sum + s, 0) / similarities.length;
+    }
+    
+    renderHeatmap() {
+        const panel = document.getElementById('heatmap');
+        if (!panel.open) return;
+        if (!this.whenBookLoaded(document.getElementById('heatmap-body'), () => this.renderHeatmap())) return;
+        
+        if (!this.heatmapColumns) {
+            this.heatmapColumns = this.buildHeatmapColumns();
+        }
+        
+        const columns = this.heatmapColumns;
+        const corpora = HEATMAP_CORPORA.filter(corpus => columns.some(col => col.byCorpus[corpus].length > 0));
+        
+        const rows = corpora.map(corpus => `
+            <div class="heatmap-row-label" title="${this.getCorpusName(corpus)}">${this.getCorpusIcon(corpus)} ${this.getCorpusName(corpus)}</div>
+            ${columns.map((col, i) => {
+                const value = this.getHeatmapValue(col.byCorpus[corpus]);
+                return value === null
+                    ? `<button class="heatmap-cell empty" data-column="${i}" data-corpus="${corpus}" aria-label="${escapeHtml(col.label)}: no ${this.getCorpusName(corpus)} matches"></button>`
+                    : `<button class="heatmap-cell" data-column="${i}" data-corpus="${corpus}" style="background: ${this.getHeatmapColor(value)};"
+                               aria-label="${escapeHtml(col.label)}: ${HEATMAP_METRICS[this.heatmapMetric]} ${(value * 100).toFixed(0)}% over ${col.byCorpus[corpus].length} ${this.getCorpusName(corpus)} matches"></button>`;
+            }).join('')}
+        `).join('');
+        
+        document.getElementById('heatmap-body').innerHTML = `
+            <div class="heatmap-toolbar">
+                <span>Colour by</span>
+                ${Object.entries(HEATMAP_METRICS).map(([metric, label]) => `
+                    <button class="heatmap-metric ${metric === this.heatmapMetric ? 'active' : ''}" data-metric="${metric}">${label}</button>
+                `).join('')}
+                <span class="heatmap-scale">
+                    ≤50% <span class="heatmap-gradient"></span> 100%
+                </span>
+            </div>
+            ${corpora.length === 0 ? '<div class="heatmap-empty">No matched shlokas in this book</div>' : `
+                <div class="heatmap-scroll">
+                    <div class="heatmap-grid" style="grid-template-columns: max-content repeat(${columns.length}, 14px);">
+                        ${rows}
+                    </div>
+                </div>
+                <div class="heatmap-hint">${formatNumber(columns.length)} adhyayas in tree order · hover for the similarity histogram, click to open the adhyaya</div>
+            `}
+            <div class="heatmap-tooltip hidden" id="heatmap-tooltip"></div>
+        `;
+    }
+    
+    /**
+     * Similarity histogram in HISTOGRAM_BINS bins from 0 to 100%
+     */
+    renderSimilarityHistogram(similarities) {
+        const bins = new Array(HISTOGRAM_BINS).fill(0);
+        similarities.forEach(s => {
+            bins[Math.min(HISTOGRAM_BINS - 1, Math.floor(s * HISTOGRAM_BINS))]++;
         });
+        const tallest = Math.max(...bins);
+        
+        return `
+            <div class="histogram">
+                ${bins.map((count, i) => `
+                    <div class="histogram-bar" style="height: ${tallest ? (count / tallest) * 100 : 0}%; background: ${this.getHeatmapColor((i + 0.5) / HISTOGRAM_BINS)};"
+                         title="${i * 100 / HISTOGRAM_BINS}–${(i + 1) * 100 / HISTOGRAM_BINS}%: ${count}"></div>
+                `).join('')}
+            </div>
+            <div class="histogram-axis"><span>0%</span><span>50%</span><span>100%</span></div>
+        `;
+    }
+    
+    showHeatmapTooltip(cell) {
+        const tooltip = document.getElementById('heatmap-tooltip');
+        const column = this.heatmapColumns[cell.dataset.column];
+        const corpus = cell.dataset.corpus;
+        const similarities = column.byCorpus[corpus];
+        
+        tooltip.innerHTML = `
+            <div class="heatmap-tooltip-title">${escapeHtml(column.label)}</div>
+            <div class="heatmap-tooltip-meta">
+                ${this.getCorpusIcon(corpus)} ${this.getCorpusName(corpus)}:
+                ${formatNumber(similarities.length)} of ${formatNumber(column.total)} shlokas matched
+            </div>
+            ${similarities.length > 0 ? `
+                <div class="heatmap-tooltip-meta">
+                    Mean ${(this.getHeatmapValue(similarities, 'mean') * 100).toFixed(1)}% ·
+                    Min ${(this.getHeatmapValue(similarities, 'min') * 100).toFixed(1)}%
+                </div>
+                ${this.renderSimilarityHistogram(similarities)}
+            ` : ''}
+        `;
+        
+        // Fixed position below the cell, kept inside the viewport
+        const rect = cell.getBoundingClientRect();
+        tooltip.classList.remove('hidden');
+        const left = Math.min(rect.left, window.innerWidth - tooltip.offsetWidth - 8);
+        tooltip.style.left = `${Math.max(8, left)}px`;
+        tooltip.style.top = `${rect.bottom + 6}px`;
+    }
+    
+    hideHeatmapTooltip() {
+        const tooltip = document.getElementById('heatmap-tooltip');
+        if (tooltip) tooltip.classList.add('hidden');
+    }
+    
+    /**
+     * Expand the tree down to a heatmap column's adhyaya
+     */
+    showHeatmapAdhyaya(column) {
+        column.path.forEach(nodeId => this.setNodeExpanded(nodeId, true));
+        this.setKeyboardFocus(column.path[column.path.length - 1]);
+        this.writeUrlState();
+    }
+    
+    // ==========================================================================
+    // Relationship Clusters
+    // Connected components of many → one and one → many mappings (see graph.js)
+    // ==========================================================================
+    
+    renderClusters() {
+        const panel = document.getElementById('clusters');
+        if (!panel.open) return;
+        const body = document.getElementById('clusters-body');
+        if (!this.whenBookLoaded(body, () => this.renderClusters())) return;
+        
+        if (!this.clusters) {
+            this.clusters = buildMatchClusters(this.data);
+        }
+        
+        if (this.clusters.length === 0) {
+            body.innerHTML = '<div class="cluster-empty">No many → one or one → many mappings in this book</div>';
+            return;
+        }
+        
+        const current = this.clusterShlokaId ? findCluster(this.clusters, this.clusterShlokaId) : null;
+        const sorted = sortClusters(this.clusters, this.clusterSort);
+        const shown = this.clusterListAll ? sorted : sorted.slice(0, CLUSTER_LIST_LIMIT);
+        const formatMean = (cluster) => (cluster.meanSimilarity === null ? '–' : `${(cluster.meanSimilarity * 100).toFixed(0)}%`);
+        
+        body.innerHTML = `
+            <div class="cluster-scroll">
+                <table class="cluster-table">
+                    <thead>
+                        <tr>
+                            <th>Cluster</th>
+                            ${Object.entries(CLUSTER_SORTS).map(([sort, { label }]) => `
+                                <th>
+                                    <button class="cluster-sort ${sort === this.clusterSort ? 'active' : ''}" data-sort="${sort}"
+                                            title="Sort by ${label.toLowerCase()}">${label}</button>
+                                </th>
+                            `).join('')}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${shown.map(cluster => `
+                            <tr class="cluster-row ${cluster === current ? 'selected' : ''}" data-key="${escapeHtml(cluster.key)}">
+                                <td><button class="cluster-pick" title="${escapeHtml(cluster.key)}">${escapeHtml(formatGraphLabel(cluster.key))}</button></td>
+                                <td>${formatNumber(cluster.nodes.length)}</td>
+                                <td>
+                                    ${formatNumber(cluster.sources)}
+                                    ${cluster.external ? `<span class="cluster-external" title="Sources in other books">${cluster.external} ext.</span>` : ''}
+                                </td>
+                                <td>${formatNumber(cluster.targets)}</td>
+                                <td class="${cluster.tangle > 0 ? 'cluster-tangled' : ''}">${formatNumber(cluster.tangle)}</td>
+                                <td style="color: ${cluster.meanSimilarity === null ? 'inherit' : this.getHeatmapColor(cluster.meanSimilarity)};">${formatMean(cluster)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            ${shown.length < sorted.length ? `
+                <button class="cluster-more">Show all ${formatNumber(sorted.length)} clusters</button>
+            ` : ''}
+            <div class="cluster-hint">
+                Tangle counts links beyond a simple star: sources sharing several targets.
+                Mean is the average link similarity.
+            </div>
+            ${this.renderClusterGraph(current)}
+        `;
+    }
+    
+    renderClusterGraph(cluster) {
+        if (!this.clusterShlokaId) return '';
+        if (!cluster) {
+            return `<div class="cluster-empty">${escapeHtml(this.clusterShlokaId)} is not part of a many → one or one → many cluster</div>`;
+        }
+        
+        const selectedId = this.selectedShloka ? this.selectedShloka.source_id || this.selectedShloka.id : null;
+        return `
+            <div class="cluster-graph">
+                <div class="cluster-graph-header">
+                    <span class="cluster-graph-title">
+                        ${formatNumber(cluster.sources)} sources → ${formatNumber(cluster.targets)} targets,
+                        ${formatNumber(cluster.edges.length)} links
+                    </span>
+                    <span class="heatmap-scale">≤50% <span class="heatmap-gradient"></span> 100%</span>
+                </div>
+                <div class="cluster-graph-scroll">
+                    ${renderClusterGraph(cluster, { color: (similarity) => this.getHeatmapColor(similarity), selectedId })}
+                </div>
+                <div class="cluster-hint">
+                    Sriranga sources on the left, targets on the right; dashed links have no recorded similarity.
+                    Click a source to open it, or a target to open its closest source.
+                </div>
+            </div>
+        `;
+    }
+    
+    /**
+     * Open the clusters panel on the cluster of a shloka
+     */
+    showCluster(shlokaId) {
+        this.clusterShlokaId = shlokaId;
+        const panel = document.getElementById('clusters');
+        if (panel.open) {
+            this.renderClusters();
+        } else {
+            panel.open = true;  // Renders on toggle
+        }
+        panel.scrollIntoView({ block: 'nearest' });
+        this.writeUrlState();
+    }
+    
+    /**
+     * Select the shloka of a graph node: a source itself, a target through its
+     * most similar source. Sources of other books open on their own page.
+     */
+    selectGraphNode(id) {
+        const cluster = findCluster(this.clusters || [], id);
+        const node = cluster && cluster.nodes.find(n => n.id === id);
+        if (!node) return;
+        
+        if (node.kind === 'source' && node.external) {
+            window.location.href = `${getBookPagePath(parseSrirangaId(id).book)}#shloka=${encodeURIComponent(id)}`;
+            return;
+        }
+        
+        let sourceId = id;
+        if (node.kind === 'target') {
+            const local = new Set(cluster.nodes.filter(n => n.kind === 'source' && !n.external).map(n => n.id));
+            const closest = cluster.edges
+                .filter(edge => edge.target === id && local.has(edge.source))
+                .sort((a, b) => (b.similarity ?? -1) - (a.similarity ?? -1))[0];
+            if (!closest) return;
+            sourceId = closest.source;
+        }
+        this.navigateToShloka(sourceId);
     }
 }
 
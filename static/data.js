@@ -0,0 +1,358 @@
+/**
+ * Mahabharata Dashboard - Data Access
+ *
+ * One loader per data file kind, built on DATA_PATHS. Files are cached in
+ * memory for the page and in IndexedDB across visits; a cached copy is
+ * revalidated with a conditional GET on its ETag / Last-Modified, and files
+ * served without either are not kept. Concurrent requests for one file
+ * share a fetch; every failure is a DataLoadError.
+ * Depends on paths.js and schema.js.
+ */
+
+const DATA_CACHE_DB_NAME = 'mbh-data-cache';
+const DATA_CACHE_DB_VERSION = 1;
+const DATA_CACHE_STORE = 'files';
+
+/**
+ * Wrap an IndexedDB request or transaction in a promise
+ */
+function idbPromise(request) {
+    return new Promise((resolve, reject) => {
+        if ('onsuccess' in request) {
+            request.onsuccess = () => resolve(request.result);
+        } else {
+            request.oncomplete = () => resolve();
+        }
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * A data file that could not be loaded or used.
+ * `code` is one of 'network', 'http', 'parse' or 'schema'.
+ */
+class DataLoadError extends Error {
+    constructor(message, { code, url, status = null, cause = null, diagnostics = null }) {
+        super(message);
+        this.name = 'DataLoadError';
+        this.code = code;
+        this.url = url;
+        this.status = status;
+        this.cause = cause;
+        this.diagnostics = diagnostics;
+    }
+}
+
+class DataStore {
+    constructor() {
+        this.loaded = new Map();    // URL → promise of { data, diagnostics, url }
+        this.dbPromise = null;
+    }
+
+    // ==========================================================================
+    // Typed loaders: each resolves to { data, diagnostics, url }
+    // ==========================================================================
+
+    loadBookMappings(bookNumber) {
+        return this.load(getBookMappingPath(bookNumber), 'mappings');
+    }
+
+    /**
+     * Mapping records of a book: the chunked index when the summary marks
+     * the book `sharded` (shards loaded with loadBookShard), else the single file
+     */
+    async loadBookData(bookNumber) {
+        return this.loadIndexOrFile(
+            await this.isBookSharded(this.loadAllBooksSummary(), bookNumber),
+            [DATA_PATHS.mappings.bookIndex(bookNumber), 'bookIndex'],
+            [getBookMappingPath(bookNumber), 'mappings']
+        );
+    }
+
+    loadBookShard(bookNumber, shard) {
+        return this.load(DATA_PATHS.mappings.shard(bookNumber, shard), 'mappings');
+    }
+
+    /**
+     * Mappings of an earlier run, kept in a baseline directory
+     * @param {string} dir - Directory relative to the site root (default DATA_PATHS.mappings.baselineDir)
+     */
+    loadBaselineMappings(bookNumber, dir = DATA_PATHS.mappings.baselineDir) {
+        return this.load(DATA_PATHS.mappings.baseline(dir, bookNumber), 'mappings');
+    }
+
+    loadAllBooksSummary() {
+        return this.load(DATA_PATHS.mappings.allBooks, 'summary');
+    }
+
+    /**
+     * Quality report of a book, falling back to the older duplicates file
+     */
+    async loadBookQuality(bookNumber) {
+        try {
+            return await this.load(DATA_PATHS.quality.book(bookNumber), 'quality');
+        } catch (error) {
+            if (error.status !== 404) throw error;
+            return this.load(DATA_PATHS.quality.duplicates(bookNumber), 'quality');
+        }
+    }
+
+    loadCorpusStructure() {
+        return this.load(DATA_PATHS.corpusStructure, 'corpusStructure');
+    }
+
+    loadViewerSummary() {
+        return this.load(DATA_PATHS.viewer.summary, 'viewerSummary');
+    }
+
+    loadViewerBook(bookNumber) {
+        return this.load(DATA_PATHS.viewer.book(bookNumber), 'viewer');
+    }
+
+    /**
+     * Reader data of a book: the chunked index when the book list marks it `sharded`, else the single file
+     */
+    async loadViewerData(bookNumber) {
+        return this.loadIndexOrFile(
+            await this.isBookSharded(this.loadViewerSummary(), bookNumber),
+            [DATA_PATHS.viewer.bookIndex(bookNumber), 'viewerIndex'],
+            [DATA_PATHS.viewer.book(bookNumber), 'viewer']
+        );
+    }
+
+    loadViewerShard(bookNumber, shard) {
+        return this.load(DATA_PATHS.viewer.shard(bookNumber, shard), 'viewerAdhyaya');
+    }
+
+    // ==========================================================================
+    // Loading and caching
+    // ==========================================================================
+
+    /**
+     * Load, validate and cache one file
+     * @param {string} path - Path relative to the site root (from DATA_PATHS)
+     * @param {string} kind - Key of DATA_SCHEMAS the file is validated against
+     * @returns {Promise<object>} { data, diagnostics, url }
+     */
+    load(path, kind) {
+        const url = resolveDataUrl(path);
+
+        if (!this.loaded.has(url)) {
+            const promise = this.fetchValidated(url, kind);
+            // Failed loads are not cached, so a later call retries
+            promise.catch(() => this.loaded.delete(url));
+            this.loaded.set(url, promise);
+        }
+        return this.loaded.get(url);
+    }
+
+    /**
+     * Whether a book list marks a book as chunked (tools/shard.js sets `sharded`).
+     * Without a readable list the book is read from its single file.
+     * @param {Promise<object>} summary - From loadAllBooksSummary() or loadViewerSummary()
+     * @returns {Promise<boolean>}
+     */
+    async isBookSharded(summary, bookNumber) {
+        try {
+            const { data } = await summary;
+            return data.some(book => book && book.book_number === Number(bookNumber) && book.sharded === true);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Load a chunked index, or the single file for books that are not chunked
+     * (also when the index turns out to be missing)
+     * @param {boolean} sharded - Whether the book is listed as chunked
+     * @param {Array} index - [path, kind] of the index
+     * @param {Array} file - [path, kind] of the single file
+     * @returns {Promise<object>} { data, diagnostics, url, sharded }
+     */
+    async loadIndexOrFile(sharded, [indexPath, indexKind], [filePath, fileKind]) {
+        if (sharded) {
+            try {
+                return { ...(await this.load(indexPath, indexKind)), sharded: true };
+            } catch (error) {
+                if (error.status !== 404) throw error;
+            }
+        }
+        return { ...(await this.load(filePath, fileKind)), sharded: false };
+    }
+
+    /**
+     * Read and validate a file the user picked from disk (not cached)
+     * @param {File} file - From an <input type="file">
+     * @param {string} kind - Key of DATA_SCHEMAS
+     * @returns {Promise<object>} { data, diagnostics, url } with the file name as url
+     */
+    async readLocalFile(file, kind) {
+        const url = file.name;
+        let data;
+        try {
+            data = JSON.parse(await file.text());
+        } catch (error) {
+            throw new DataLoadError(`${url} is not valid JSON: ${error.message}`, { code: 'parse', url, cause: error });
+        }
+
+        const diagnostics = validateDataFile(kind, data);
+        if (diagnostics.fatal) {
+            throw new DataLoadError(`${url} is not a valid ${diagnostics.label.toLowerCase()} file: ${diagnostics.issues[0].message}`, {
+                code: 'schema', url, diagnostics
+            });
+        }
+        return { data, diagnostics, url };
+    }
+
+    async fetchValidated(url, kind) {
+        const cached = await this.readCache(url);
+        const { data: fetched, validators } = await this.fetchJson(url, cached);
+        let data = fetched;
+
+        if (fetched === undefined) {
+            data = cached.data;     // 304: the cached copy is current
+        } else if (validators.etag || validators.lastModified) {
+            this.writeCache(url, validators, data);
+        } else if (cached) {
+            // Nothing to revalidate against: drop the copy rather than serve it stale
+            this.deleteCache(url);
+        }
+
+        const diagnostics = validateDataFile(kind, data);
+        if (diagnostics.fatal) {
+            throw new DataLoadError(`${url} is not a valid ${diagnostics.label.toLowerCase()} file: ${diagnostics.issues[0].message}`, {
+                code: 'schema', url, diagnostics
+            });
+        }
+        return { data, diagnostics, url };
+    }
+
+    /**
+     * Fetch a JSON file, conditionally when there is a cached copy
+     * @param {object} [cached] - Cache entry whose ETag / Last-Modified are sent
+     * @returns {Promise<object>} { data, validators }, data undefined on 304
+     */
+    async fetchJson(url, cached = null) {
+        const headers = {};
+        if (cached && cached.etag) headers['If-None-Match'] = cached.etag;
+        if (cached && cached.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+
+        let response;
+        try {
+            response = await fetch(url, Object.keys(headers).length ? { headers } : undefined);
+        } catch (error) {
+            throw new DataLoadError(`Could not fetch ${url}: ${error.message}`, { code: 'network', url, cause: error });
+        }
+
+        if (response.status === 304 && cached) {
+            return { data: undefined, validators: {} };
+        }
+        if (!response.ok) {
+            throw new DataLoadError(`Failed to load ${url}: ${response.status} ${response.statusText}`, {
+                code: 'http', url, status: response.status
+            });
+        }
+
+        let data;
+        try {
+            data = await response.json();
+        } catch (error) {
+            throw new DataLoadError(`${url} is not valid JSON: ${error.message}`, { code: 'parse', url, cause: error });
+        }
+
+        const header = (name) => (response.headers && response.headers.get(name)) || null;
+        return { data, validators: { etag: header('ETag'), lastModified: header('Last-Modified') } };
+    }
+
+    // ==========================================================================
+    // IndexedDB cache: { url, etag, lastModified, data, cached_at }
+    // ==========================================================================
+
+    openCache() {
+        if (!this.dbPromise) {
+            if (typeof indexedDB === 'undefined') {
+                this.dbPromise = Promise.resolve(null);
+            } else {
+                const request = indexedDB.open(DATA_CACHE_DB_NAME, DATA_CACHE_DB_VERSION);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(DATA_CACHE_STORE, { keyPath: 'url' });
+                };
+                // The cache is an optimisation: without it every load goes to the network
+                this.dbPromise = idbPromise(request).catch(error => {
+                    console.warn('Data cache unavailable:', error);
+                    return null;
+                });
+            }
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Cached entry for a URL, if it can be revalidated
+     * @returns {Promise<object|null>} null on a miss
+     */
+    async readCache(url) {
+        try {
+            const db = await this.openCache();
+            if (!db) return null;
+
+            const store = db.transaction(DATA_CACHE_STORE, 'readonly').objectStore(DATA_CACHE_STORE);
+            const entry = await idbPromise(store.get(url));
+            return entry && (entry.etag || entry.lastModified) ? entry : null;
+        } catch (error) {
+            console.warn('Data cache read failed:', error);
+            return null;
+        }
+    }
+
+    async writeCache(url, { etag, lastModified }, data) {
+        try {
+            const db = await this.openCache();
+            if (!db) return;
+
+            const tx = db.transaction(DATA_CACHE_STORE, 'readwrite');
+            tx.objectStore(DATA_CACHE_STORE).put({ url, etag, lastModified, data, cached_at: new Date().toISOString() });
+            await idbPromise(tx);
+        } catch (error) {
+            console.warn('Data cache write failed:', error);
+        }
+    }
+
+    async deleteCache(url) {
+        try {
+            const db = await this.openCache();
+            if (!db) return;
+
+            const tx = db.transaction(DATA_CACHE_STORE, 'readwrite');
+            tx.objectStore(DATA_CACHE_STORE).delete(url);
+            await idbPromise(tx);
+        } catch (error) {
+            console.warn('Data cache write failed:', error);
+        }
+    }
+
+    /**
+     * Drop every cached file, in memory and in IndexedDB
+     */
+    async clearCache() {
+        this.loaded.clear();
+        const db = await this.openCache();
+        if (!db) return;
+
+        const tx = db.transaction(DATA_CACHE_STORE, 'readwrite');
+        tx.objectStore(DATA_CACHE_STORE).clear();
+        await idbPromise(tx);
+    }
+}
+
+// Shared by every page
+const dataStore = new DataStore();
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DataLoadError,
+        DataStore,
+        dataStore
+    };
+}
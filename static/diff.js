@@ -0,0 +1,229 @@
+/**
+ * Mahabharata Dashboard - Text Diff
+ *
+ * Sequence alignment (LCS) between a source and a target reading, either
+ * word by word or by Devanagari akshara (grapheme cluster).
+ */
+
+// Devanagari akshara: consonant cluster joined by virama, optional vowel sign
+// or final virama, then any anusvara/visarga/candrabindu/accents
+const DEVANAGARI_CONSONANT = '[\\u0915-\\u0939\\u0958-\\u095F\\u0978-\\u097F]\\u093C?';
+const AKSHARA_PATTERN = new RegExp(
+    `(?:${DEVANAGARI_CONSONANT}\\u094D[\\u200C\\u200D]?)*${DEVANAGARI_CONSONANT}` +
+        '(?:[\\u093A-\\u094C\\u094E\\u094F\\u0955-\\u0957\\u0962\\u0963]|\\u094D[\\u200C\\u200D]?)?' +
+        '[\\u0900-\\u0903\\u0951-\\u0954]*' +
+    '|[\\u0904-\\u0914\\u0960\\u0961\\u0972-\\u0977][\\u0900-\\u0903\\u0951-\\u0954]*' +
+    '|[\\s\\S]',
+    'g'
+);
+
+const DIFF_MODES = {
+    word: { label: 'Words', separator: ' ' },
+    akshara: { label: 'Aksharas', separator: '' }
+};
+
+/**
+ * Split text into words, keeping dandas as separate tokens
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} Tokens
+ */
+function tokenizeWords(text) {
+    return (text || '')
+        .replace(/।/g, ' । ')
+        .replace(/॥/g, ' ॥ ')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .split(' ')
+        .filter(t => t.length > 0);
+}
+
+/**
+ * Split text into Devanagari aksharas (whitespace collapsed to single spaces)
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Grapheme clusters
+ */
+function splitAksharas(text) {
+    return (text || '').replace(/\s+/g, ' ').trim().match(AKSHARA_PATTERN) || [];
+}
+
+/**
+ * Tokens that are shown but never highlighted (dandas, verse numbers, spaces)
+ * @param {string} token - Word or akshara
+ * @returns {boolean} True if the token takes no part in the alignment
+ */
+function isNeutralToken(token) {
+    return /^[\s।॥|.,;:!?'"()\-–—०-९0-9]+$/.test(token);
+}
+
+/**
+ * Longest-common-subsequence alignment of two key sequences
+ * @param {Array<string>} a - Source keys
+ * @param {Array<string>} b - Target keys
+ * @returns {Array<object>} Ops in order: { type: 'equal'|'delete'|'insert', a, b }
+ */
+function diffSequences(a, b) {
+    const n = a.length;
+    const m = b.length;
+
+    // lcs[i * (m + 1) + j] = LCS length of a[i:] and b[j:]
+    const lcs = new Uint32Array((n + 1) * (m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+            lcs[i * (m + 1) + j] = a[i] === b[j]
+                ? lcs[(i + 1) * (m + 1) + j + 1] + 1
+                : Math.max(lcs[(i + 1) * (m + 1) + j], lcs[i * (m + 1) + j + 1]);
+        }
+    }
+
+    // Walk forwards; deletions come before insertions within a changed run
+    const ops = [];
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+        if (a[i] === b[j]) {
+            ops.push({ type: 'equal', a: i++, b: j++ });
+        } else if (lcs[(i + 1) * (m + 1) + j] >= lcs[i * (m + 1) + j + 1]) {
+            ops.push({ type: 'delete', a: i++ });
+        } else {
+            ops.push({ type: 'insert', b: j++ });
+        }
+    }
+    while (i < n) ops.push({ type: 'delete', a: i++ });
+    while (j < m) ops.push({ type: 'insert', b: j++ });
+
+    return ops;
+}
+
+/**
+ * Number runs of changes that contain both a deletion and an insertion
+ * (substitutions), so the two halves can be shown as a pair
+ * @param {Array<object>} ops - Output of diffSequences()
+ */
+function markSubstitutions(ops) {
+    let pairId = 0;
+    let runStart = 0;
+
+    for (let k = 0; k <= ops.length; k++) {
+        if (k < ops.length && ops[k].type !== 'equal') continue;
+
+        const run = ops.slice(runStart, k);
+        if (run.some(op => op.type === 'delete') && run.some(op => op.type === 'insert')) {
+            pairId++;
+            run.forEach(op => { op.pair = pairId; });
+        }
+        runStart = k + 1;
+    }
+}
+
+/**
+ * Render one side of a diff, merging neighbouring tokens with the same status
+ */
+function renderDiffSide(tokens, statuses, pairs, mode) {
+    const separator = DIFF_MODES[mode].separator;
+    const classes = mode === 'word'
+        ? { equal: 'diff-match', delete: 'diff-different', insert: 'diff-different' }
+        : { equal: '', delete: 'diff-delete', insert: 'diff-insert' };
+
+    const spans = [];
+    tokens.forEach((token, idx) => {
+        const status = statuses[idx] || 'neutral';
+        const cssClass = [status === 'neutral' ? '' : classes[status], pairs[idx] ? 'diff-subst' : '']
+            .filter(c => c.length > 0)
+            .join(' ');
+        const last = spans[spans.length - 1];
+
+        // Words keep one span each (as before); aksharas merge into runs
+        if (mode !== 'word' && last && last.cssClass === cssClass && last.pair === pairs[idx]) {
+            last.text += separator + token;
+        } else {
+            spans.push({ text: token, cssClass, pair: pairs[idx] });
+        }
+    });
+
+    return spans.map(span => {
+        const text = escapeHtml(span.text);
+        if (!span.cssClass) return text;
+        const pairAttr = span.pair ? ` data-pair="${span.pair}"` : '';
+        return `<span class="${span.cssClass}"${pairAttr}>${text}</span>`;
+    }).join(separator);
+}
+
+/**
+ * Align two readings token by token
+ * @param {string} sourceText - Source reading
+ * @param {string} targetText - Target reading
+ * @param {object} options - { mode: 'word'|'akshara', normalize: token => key }
+ * @returns {object} { mode, sourceTokens, targetTokens, sourceStatus, targetStatus,
+ *                     sourcePairs, targetPairs, changed }; statuses are indexed by
+ *                     token and left empty for neutral tokens
+ */
+function alignTexts(sourceText, targetText, options = {}) {
+    const mode = DIFF_MODES[options.mode] ? options.mode : 'word';
+    const normalize = options.normalize || (token => token);
+    const split = mode === 'word' ? tokenizeWords : splitAksharas;
+
+    const sourceTokens = split(sourceText);
+    const targetTokens = split(targetText);
+
+    // Align only the content tokens; neutral ones are rendered unhighlighted
+    const content = (tokens) => tokens
+        .map((token, idx) => ({ idx, key: isNeutralToken(token) ? '' : normalize(token) }))
+        .filter(t => t.key.length > 0);
+    const sourceContent = content(sourceTokens);
+    const targetContent = content(targetTokens);
+
+    const ops = diffSequences(sourceContent.map(t => t.key), targetContent.map(t => t.key));
+    markSubstitutions(ops);
+
+    const sourceStatus = [];
+    const targetStatus = [];
+    const sourcePairs = [];
+    const targetPairs = [];
+    let changed = 0;
+
+    for (const op of ops) {
+        if (op.a !== undefined) {
+            const idx = sourceContent[op.a].idx;
+            sourceStatus[idx] = op.type;
+            sourcePairs[idx] = op.pair;
+        }
+        if (op.b !== undefined) {
+            const idx = targetContent[op.b].idx;
+            targetStatus[idx] = op.type;
+            targetPairs[idx] = op.pair;
+        }
+        if (op.type !== 'equal') changed++;
+    }
+
+    return { mode, sourceTokens, targetTokens, sourceStatus, targetStatus, sourcePairs, targetPairs, changed };
+}
+
+/**
+ * Align two readings and render both sides as HTML
+ * @param {string} sourceText - Source reading
+ * @param {string} targetText - Target reading
+ * @param {object} options - { mode: 'word'|'akshara', normalize: token => key }
+ * @returns {object} { sourceHtml, targetHtml, changed }
+ */
+function diffTexts(sourceText, targetText, options = {}) {
+    const aligned = alignTexts(sourceText, targetText, options);
+
+    return {
+        sourceHtml: renderDiffSide(aligned.sourceTokens, aligned.sourceStatus, aligned.sourcePairs, aligned.mode),
+        targetHtml: renderDiffSide(aligned.targetTokens, aligned.targetStatus, aligned.targetPairs, aligned.mode),
+        changed: aligned.changed
+    };
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DIFF_MODES,
+        tokenizeWords,
+        splitAksharas,
+        diffSequences,
+        alignTexts,
+        renderDiffSide,
+        diffTexts
+    };
+}
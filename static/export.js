@@ -0,0 +1,302 @@
+/**
+ * Mahabharata Dashboard - Export
+ *
+ * Writes shlokas out as CSV/TSV, JSON or TEI P5 XML. Rows are collected
+ * from the groupByHierarchy() tree so each one carries its parva,
+ * upaparva and adhyaya names.
+ */
+
+const EXPORT_FORMATS = {
+    csv: { label: 'CSV', extension: 'csv', mime: 'text/csv' },
+    tsv: { label: 'TSV', extension: 'tsv', mime: 'text/tab-separated-values' },
+    json: { label: 'JSON', extension: 'json', mime: 'application/json' },
+    tei: { label: 'TEI XML', extension: 'xml', mime: 'application/tei+xml' }
+};
+
+// Columns of the CSV/TSV export, in order
+const EXPORT_COLUMNS = [
+    { key: 'parva', get: row => row.parva },
+    { key: 'parva_name', get: row => row.parvaName },
+    { key: 'upaparva', get: row => row.upaparva },
+    { key: 'upaparva_name', get: row => row.upaparvaName },
+    { key: 'adhyaya', get: row => row.adhyaya },
+    { key: 'adhyaya_name', get: row => row.adhyayaName },
+    { key: 'id', get: row => row.shloka.id },
+    { key: 'source_id', get: row => row.shloka.source_id },
+    { key: 'chapter', get: row => row.shloka.chapter },
+    { key: 'verse', get: row => row.shloka.verse },
+    { key: 'status', get: row => getMatchStatusClass(row.shloka) },
+    { key: 'similarity', get: row => row.shloka.similarity },
+    { key: 'match_method', get: row => row.shloka.match_method },
+    { key: 'match_stage', get: row => row.shloka.match_stage },
+    { key: 'match_corpus', get: row => row.shloka.match_corpus },
+    { key: 'matched_target_id', get: row => row.shloka.matched_target_id },
+    { key: 'source_text', get: row => row.shloka.source_text },
+    { key: 'matched_target_text', get: row => row.shloka.matched_target_text },
+    { key: 'ce_reference_id', get: row => row.shloka.metadata?.ce_reference?.id },
+    { key: 'ce_reference_text', get: row => row.shloka.metadata?.ce_reference?.text },
+    { key: 'sarit_reference_id', get: row => row.shloka.metadata?.sarit_reference?.id },
+    { key: 'sarit_reference_text', get: row => row.shloka.metadata?.sarit_reference?.text },
+    { key: 'english_translation', get: row => row.shloka.english_translation },
+];
+
+// TEI witnesses: the Sriranga source plus the corpora it is matched against
+const EXPORT_WITNESSES = {
+    sriranga: 'Sriranga edition (source)',
+    ce: 'Critical Edition (BORI)',
+    sarit: 'SARIT',
+    mndutt: 'MN Dutt'
+};
+
+/**
+ * Collect shlokas from a hierarchy in tree order
+ * @param {object} hierarchy - Output of groupByHierarchy()
+ * @param {function} include - Predicate deciding which shlokas are exported
+ * @param {object} scope - Optional { parva, upaparva, adhyaya } keys to export one subtree
+ * @returns {Array} Rows: { shloka, parva, parvaName, upaparva, upaparvaName, adhyaya, adhyayaName }
+ */
+function collectExportRows(hierarchy, include = () => true, scope = {}) {
+    const rows = [];
+    const keysIn = (entries, only) => Object.keys(entries).sort().filter(key => !only || key === only);
+
+    for (const parva of keysIn(hierarchy, scope.parva)) {
+        const parvaEntry = hierarchy[parva];
+        for (const upaparva of keysIn(parvaEntry.upaparvas, scope.upaparva)) {
+            const upaparvaEntry = parvaEntry.upaparvas[upaparva];
+            for (const adhyaya of keysIn(upaparvaEntry.adhyayas, scope.adhyaya)) {
+                const adhyayaEntry = upaparvaEntry.adhyayas[adhyaya];
+                // Verse order, as in the tree and the collation
+                const verseOf = (shloka) => parseSrirangaId(shloka.source_id || shloka.id).verseNumeric;
+                const keys = new Map(getRecordKeys(adhyayaEntry.shlokas).map((key, i) => [adhyayaEntry.shlokas[i], key]));
+                const shlokas = [...adhyayaEntry.shlokas].sort((a, b) => verseOf(a) - verseOf(b));
+
+                shlokas.filter(include).forEach(shloka => rows.push({
+                    shloka,
+                    key: keys.get(shloka),
+                    parva,
+                    parvaName: parvaEntry.name,
+                    upaparva,
+                    upaparvaName: upaparvaEntry.name,
+                    adhyaya,
+                    adhyayaName: adhyayaEntry.name
+                }));
+            }
+        }
+    }
+
+    return rows;
+}
+
+/**
+ * Quote one CSV/TSV field
+ */
+function formatDelimitedValue(value, separator) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+
+    // TSV has no quoting: flatten tabs and line breaks instead
+    if (separator === '\t') return text.replace(/[\t\r\n]+/g, ' ');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Rows as CSV or TSV (with a BOM so spreadsheets read the Devanagari as UTF-8)
+ * @param {Array} rows - Output of collectExportRows()
+ * @param {string} separator - ',' or '\t'
+ * @returns {string} File content
+ */
+function rowsToDelimited(rows, separator = ',') {
+    const lines = [EXPORT_COLUMNS.map(col => col.key).join(separator)];
+    rows.forEach(row => {
+        lines.push(EXPORT_COLUMNS.map(col => formatDelimitedValue(col.get(row), separator)).join(separator));
+    });
+    return '\ufeff' + lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Rows as JSON: the original mapping records with their hierarchy names
+ * @param {Array} rows - Output of collectExportRows()
+ * @param {object} meta - Export description (book, filters, scope)
+ * @returns {string} File content
+ */
+function rowsToJson(rows, meta = {}) {
+    return JSON.stringify({
+        ...meta,
+        exported_at: new Date().toISOString(),
+        count: rows.length,
+        shlokas: rows.map(row => ({
+            hierarchy: {
+                parva: row.parva,
+                parva_name: row.parvaName,
+                upaparva: row.upaparva,
+                upaparva_name: row.upaparvaName,
+                adhyaya: row.adhyaya,
+                adhyaya_name: row.adhyayaName
+            },
+            ...row.shloka
+        }))
+    }, null, 2);
+}
+
+/**
+ * Escape text for XML element content and attribute values
+ */
+function escapeXml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Readings of one shloka: the source, its matched target and any
+ * CE/SARIT references that are not the matched target itself
+ */
+function collectReadings(shloka) {
+    const readings = [{ wit: 'sriranga', id: shloka.source_id || shloka.id, text: shloka.source_text }];
+
+    if (shloka.has_match && shloka.matched_target_text) {
+        readings.push({
+            wit: shloka.match_corpus,
+            id: shloka.matched_target_id,
+            text: shloka.matched_target_text,
+            similarity: shloka.similarity
+        });
+    }
+
+    [['ce', shloka.metadata?.ce_reference], ['sarit', shloka.metadata?.sarit_reference]].forEach(([wit, ref]) => {
+        if (!ref || !ref.text) return;
+        if (readings.some(r => r.wit === wit && r.id === ref.id)) return;
+        readings.push({ wit, id: ref.id, text: ref.text, similarity: ref.similarity });
+    });
+
+    return readings.filter(r => EXPORT_WITNESSES[r.wit]);
+}
+
+/**
+ * Rows as TEI P5 with parallel-segmentation apparatus: one <app> per shloka,
+ * one <rdg> per witness
+ * @param {Array} rows - Output of collectExportRows()
+ * @param {object} meta - { title }
+ * @returns {string} File content
+ */
+function rowsToTei(rows, meta = {}) {
+    const out = [];
+    const indent = (depth, line) => out.push('  '.repeat(depth) + line);
+    const open = {};
+
+    indent(0, '<?xml version="1.0" encoding="UTF-8"?>');
+    indent(0, '<TEI xmlns="http://www.tei-c.org/ns/1.0">');
+    indent(1, '<teiHeader>');
+    indent(2, '<fileDesc>');
+    indent(3, `<titleStmt><title>${escapeXml(meta.title || 'Mahabharata shloka alignment')}</title></titleStmt>`);
+    indent(3, `<publicationStmt><p>Exported from the Mahabharata Pipeline Dashboard on ${new Date().toISOString().slice(0, 10)}</p></publicationStmt>`);
+    indent(3, '<sourceDesc>');
+    indent(4, '<listWit>');
+    Object.entries(EXPORT_WITNESSES).forEach(([id, name]) => {
+        indent(5, `<witness xml:id="${id}">${escapeXml(name)}</witness>`);
+    });
+    indent(4, '</listWit>');
+    indent(3, '</sourceDesc>');
+    indent(2, '</fileDesc>');
+    indent(2, '<encodingDesc><variantEncoding method="parallel-segmentation" location="internal"/></encodingDesc>');
+    indent(1, '</teiHeader>');
+    indent(1, '<text>');
+    indent(2, '<body>');
+
+    const levels = [
+        { type: 'parva', key: 'parva', name: 'parvaName' },
+        { type: 'upaparva', key: 'upaparva', name: 'upaparvaName' },
+        { type: 'adhyaya', key: 'adhyaya', name: 'adhyayaName' }
+    ];
+    const closeFrom = (level) => {
+        for (let i = levels.length - 1; i >= level; i--) {
+            if (open[levels[i].type] !== undefined) {
+                indent(3 + i, '</div>');
+                delete open[levels[i].type];
+            }
+        }
+    };
+
+    // xml:id must be unique: later records sharing an ID get _n from their key (the ID stays in @corresp)
+
+    rows.forEach(row => {
+        // Open a <div> for each level whose key changed since the previous row
+        levels.forEach((level, depth) => {
+            if (open[level.type] === row[level.key]) return;
+            closeFrom(depth);
+            indent(3 + depth, `<div type="${level.type}" n="${escapeXml(row[level.key])}">`);
+            indent(4 + depth, `<head>${escapeXml(row[level.name])}</head>`);
+            open[level.type] = row[level.key];
+        });
+
+        const shloka = row.shloka;
+        const id = shloka.id || shloka.source_id;
+        const n = parseRecordKey(row.key).entry + 1;
+        const idAttributes = n === 1
+            ? `xml:id="${escapeXml(id)}"`
+            : `xml:id="${escapeXml(id)}_${n}" corresp="#${escapeXml(id)}"`;
+        indent(6, `<lg ${idAttributes} n="${escapeXml(shloka.verse)}">`);
+        indent(7, '<app>');
+        collectReadings(shloka).forEach(reading => {
+            const cert = typeof reading.similarity === 'number' ? ` cert="${reading.similarity.toFixed(3)}"` : '';
+            indent(8, `<rdg wit="#${reading.wit}" n="${escapeXml(reading.id)}"${cert}>${escapeXml(reading.text)}</rdg>`);
+        });
+        indent(7, '</app>');
+        indent(6, '</lg>');
+    });
+
+    closeFrom(0);
+    indent(2, '</body>');
+    indent(1, '</text>');
+    indent(0, '</TEI>');
+    return out.join('\n') + '\n';
+}
+
+/**
+ * Serialize rows in one of EXPORT_FORMATS
+ * @param {Array} rows - Output of collectExportRows()
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @param {object} meta - Export description (title, book, filters, scope)
+ * @returns {string} File content
+ */
+function formatExport(rows, format, meta = {}) {
+    switch (format) {
+        case 'csv': return rowsToDelimited(rows, ',');
+        case 'tsv': return rowsToDelimited(rows, '\t');
+        case 'json': return rowsToJson(rows, meta);
+        case 'tei': return rowsToTei(rows, meta);
+        default: throw new Error(`Unknown export format: ${format}`);
+    }
+}
+
+/**
+ * Offer content to the browser as a file download
+ * @param {string} content - File content
+ * @param {string} filename - Suggested file name
+ * @param {string} mime - MIME type
+ */
+function downloadFile(content, filename, mime) {
+    const url = URL.createObjectURL(new Blob([content], { type: `${mime};charset=utf-8` }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        EXPORT_FORMATS,
+        EXPORT_COLUMNS,
+        collectExportRows,
+        rowsToDelimited,
+        rowsToJson,
+        rowsToTei,
+        formatExport
+    };
+}
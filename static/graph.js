@@ -0,0 +1,268 @@
+/**
+ * Mahabharata Dashboard - Relationship Graph
+ *
+ * Connected components of the mapping: source shlokas and the target
+ * shlokas they map to, joined by similarity-weighted edges. Components with
+ * more than one source or more than one target are the many → one and
+ * one → many clusters. A big cluster usually means a repeated formula; a
+ * tangled one (sources sharing several targets) often means a pipeline bug.
+ * Depends on paths.js and collation.js (getTargetWitness).
+ */
+
+// Cluster list orderings; every list is largest / worst first
+const CLUSTER_SORTS = {
+    size: { label: 'Shlokas', compare: (a, b) => b.nodes.length - a.nodes.length },
+    sources: { label: 'Sources', compare: (a, b) => b.sources - a.sources },
+    targets: { label: 'Targets', compare: (a, b) => b.targets - a.targets },
+    tangle: { label: 'Tangle', compare: (a, b) => b.tangle - a.tangle },
+    similarity: { label: 'Mean', compare: (a, b) => (a.meanSimilarity ?? 1) - (b.meanSimilarity ?? 1) },
+};
+
+// Short labels of target ID prefixes
+const GRAPH_ID_PREFIXES = { mndutt: 'MN', critical: 'CE', sarit: 'SARIT' };
+
+// Bipartite layout: sources on the left, targets on the right
+const GRAPH_WIDTH = 400;
+const GRAPH_ROW_HEIGHT = 22;
+const GRAPH_SOURCE_X = 120;
+const GRAPH_TARGET_X = 280;
+
+/**
+ * Edges of one mapping record: its matched target, its additional targets,
+ * and the sources of other books that share its target
+ * @param {object} shloka - Mapping record
+ * @returns {Array} [{ source, target, similarity, primary }]; similarity is null when unknown
+ */
+function getMappingEdges(shloka) {
+    const source = shloka.source_id || shloka.id;
+    if (!shloka.has_match || !shloka.matched_target_id) return [];
+
+    const edges = [{ source, target: shloka.matched_target_id, similarity: shloka.similarity ?? null, primary: true }];
+    const additional = shloka.metadata?.additional_matches || [];
+
+    new Set([...(shloka.additional_target_ids || []), ...additional.map(m => m.target_id)]).forEach(target => {
+        if (!target || target === shloka.matched_target_id) return;
+        const match = additional.find(m => m.target_id === target);
+        edges.push({ source, target, similarity: match?.similarity ?? null, primary: false });
+    });
+
+    (shloka.sources_sharing_target || []).forEach(other => {
+        edges.push({ source: other, target: shloka.matched_target_id, similarity: null, primary: true });
+    });
+
+    return edges;
+}
+
+/**
+ * Connected components of the mapping with more than one source or target
+ * @param {Array} shlokas - Mapping records of a book
+ * @returns {Array} Clusters, largest first: { key, nodes, edges, sources, targets,
+ *                  external, tangle, meanSimilarity, minSimilarity }
+ */
+function buildMatchClusters(shlokas) {
+    const records = new Map(shlokas.map(s => [s.source_id || s.id, s]));
+    const nodes = new Map();
+    const edges = new Map();
+    const parent = new Map();
+
+    const find = (id) => {
+        while (parent.get(id) !== id) {
+            parent.set(id, parent.get(parent.get(id)));
+            id = parent.get(id);
+        }
+        return id;
+    };
+    const addNode = (id, kind) => {
+        if (!nodes.has(id)) {
+            nodes.set(id, { id, kind, external: kind === 'source' && !records.has(id), text: '' });
+            parent.set(id, id);
+        }
+        return nodes.get(id);
+    };
+
+    shlokas.forEach(shloka => {
+        getMappingEdges(shloka).forEach(edge => {
+            addNode(edge.source, 'source');
+            const target = addNode(edge.target, 'target');
+            if (!target.text) {
+                target.text = edge.target === shloka.matched_target_id
+                    ? shloka.matched_target_text || ''
+                    : (shloka.metadata?.additional_matches || []).find(m => m.target_id === edge.target)?.target_text || '';
+            }
+
+            // A pair seen from both ends keeps the known similarity
+            const key = `${edge.source}|${edge.target}`;
+            if (!edges.has(key) || edges.get(key).similarity === null) {
+                edges.set(key, edge);
+            }
+            parent.set(find(edge.source), find(edge.target));
+        });
+    });
+
+    nodes.forEach(node => {
+        if (node.kind === 'source' && records.has(node.id)) node.text = records.get(node.id).source_text || '';
+    });
+
+    const components = new Map();
+    nodes.forEach(node => {
+        const root = find(node.id);
+        if (!components.has(root)) components.set(root, { nodes: [], edges: [] });
+        components.get(root).nodes.push(node);
+    });
+    edges.forEach(edge => components.get(find(edge.source)).edges.push(edge));
+
+    return [...components.values()]
+        .filter(component => component.nodes.length > 2)
+        .map(({ nodes: members, edges: links }) => {
+            const sources = members.filter(n => n.kind === 'source');
+            const scores = links.map(e => e.similarity).filter(s => typeof s === 'number');
+            return {
+                // Smallest source ID: stable across reloads, used in links
+                key: sources.map(n => n.id).sort()[0],
+                nodes: members,
+                edges: links,
+                sources: sources.length,
+                targets: members.length - sources.length,
+                external: sources.filter(n => n.external).length,
+                // Independent cycles: 0 for a plain star, one more for every extra shared link
+                tangle: links.length - members.length + 1,
+                meanSimilarity: scores.length ? scores.reduce((sum, s) => sum + s, 0) / scores.length : null,
+                minSimilarity: scores.length ? Math.min(...scores) : null
+            };
+        })
+        .sort(CLUSTER_SORTS.size.compare);
+}
+
+/**
+ * Sort clusters by a CLUSTER_SORTS key, ties broken by size then key
+ */
+function sortClusters(clusters, sort) {
+    const compare = (CLUSTER_SORTS[sort] || CLUSTER_SORTS.size).compare;
+    return [...clusters].sort((a, b) =>
+        compare(a, b) || CLUSTER_SORTS.size.compare(a, b) || a.key.localeCompare(b.key));
+}
+
+/**
+ * Cluster holding a shloka (source or target ID)
+ * @returns {object|null}
+ */
+function findCluster(clusters, id) {
+    return clusters.find(cluster => cluster.nodes.some(node => node.id === id)) || null;
+}
+
+/**
+ * Short label of a shloka ID: sriranga_10_005_034 → 10.5.34, mndutt_10_166_033 → MN 10.166.33
+ */
+function formatGraphLabel(id) {
+    const [prefix, ...parts] = String(id).split('_');
+    const numbers = parts.map(part => (/^\d+$/.test(part) ? String(parseInt(part, 10)) : part)).join('.');
+    return GRAPH_ID_PREFIXES[prefix] ? `${GRAPH_ID_PREFIXES[prefix]} ${numbers}` : numbers || String(id);
+}
+
+/**
+ * Row of every node in the bipartite layout. Sources start in ID order,
+ * then each side is ordered by the mean row of its neighbours (two
+ * barycentre sweeps), which removes most edge crossings.
+ * @returns {object} { sources: [node], targets: [node] } in row order
+ */
+function layoutCluster(cluster) {
+    const neighbours = new Map(cluster.nodes.map(node => [node.id, []]));
+    cluster.edges.forEach(edge => {
+        neighbours.get(edge.source).push(edge.target);
+        neighbours.get(edge.target).push(edge.source);
+    });
+
+    let sources = cluster.nodes.filter(n => n.kind === 'source').sort((a, b) => a.id.localeCompare(b.id));
+    let targets = cluster.nodes.filter(n => n.kind === 'target');
+
+    const orderBy = (nodes, placed) => {
+        const row = new Map(placed.map((node, i) => [node.id, i]));
+        const barycentre = (node) => {
+            const rows = neighbours.get(node.id).map(id => row.get(id));
+            return rows.reduce((sum, r) => sum + r, 0) / rows.length;
+        };
+        return nodes
+            .map(node => ({ node, at: barycentre(node) }))
+            .sort((a, b) => a.at - b.at || a.node.id.localeCompare(b.node.id))
+            .map(({ node }) => node);
+    };
+
+    for (let sweep = 0; sweep < 2; sweep++) {
+        targets = orderBy(targets, sources);
+        sources = orderBy(sources, targets);
+    }
+    targets = orderBy(targets, sources);
+
+    return { sources, targets };
+}
+
+/**
+ * SVG drawing of a cluster. Nodes are focusable `.graph-node[data-id]`
+ * groups; edges are coloured and thickened by similarity.
+ * @param {object} cluster - From buildMatchClusters()
+ * @param {object} options - { color: similarity → CSS colour, selectedId }
+ * @returns {string} SVG markup
+ */
+function renderClusterGraph(cluster, { color = () => '#999', selectedId = null } = {}) {
+    const { sources, targets } = layoutCluster(cluster);
+    const rows = Math.max(sources.length, targets.length);
+    const height = rows * GRAPH_ROW_HEIGHT + GRAPH_ROW_HEIGHT;
+    const position = new Map();
+
+    [[sources, GRAPH_SOURCE_X], [targets, GRAPH_TARGET_X]].forEach(([column, x]) => {
+        const top = (height - column.length * GRAPH_ROW_HEIGHT) / 2 + GRAPH_ROW_HEIGHT / 2;
+        column.forEach((node, i) => position.set(node.id, { x, y: top + i * GRAPH_ROW_HEIGHT }));
+    });
+
+    const edges = cluster.edges.map(edge => {
+        const from = position.get(edge.source);
+        const to = position.get(edge.target);
+        const mid = (from.x + to.x) / 2;
+        const known = typeof edge.similarity === 'number';
+        const score = known ? `${(edge.similarity * 100).toFixed(1)}%` : 'similarity not recorded';
+        return `
+            <path class="graph-edge ${edge.primary ? '' : 'additional'}" d="M ${from.x} ${from.y} C ${mid} ${from.y}, ${mid} ${to.y}, ${to.x} ${to.y}"
+                  stroke="${known ? color(edge.similarity) : '#999'}" stroke-width="${known ? (1 + edge.similarity * 2.5).toFixed(2) : 1}"
+                  ${known ? '' : 'stroke-dasharray="4 3"'}>
+                <title>${escapeHtml(edge.source)} → ${escapeHtml(edge.target)}: ${score}${edge.primary ? '' : ' (additional target)'}</title>
+            </path>
+        `;
+    }).join('');
+
+    const nodes = cluster.nodes.map(node => {
+        const { x, y } = position.get(node.id);
+        const isSource = node.kind === 'source';
+        const label = formatGraphLabel(node.id);
+        const note = node.external ? ' (other book)' : '';
+        return `
+            <g class="graph-node graph-${node.kind} ${node.external ? 'external' : ''} ${node.id === selectedId ? 'selected' : ''}"
+               data-id="${escapeHtml(node.id)}" tabindex="0" role="button" aria-label="${escapeHtml(node.id + note)}">
+                <title>${escapeHtml(node.id + note)}${node.text ? `\n${escapeHtml(node.text)}` : ''}</title>
+                <circle cx="${x}" cy="${y}" r="6"></circle>
+                <text x="${isSource ? x - 10 : x + 10}" y="${y + 4}" text-anchor="${isSource ? 'end' : 'start'}">${escapeHtml(label)}</text>
+            </g>
+        `;
+    }).join('');
+
+    return `
+        <svg class="cluster-svg" viewBox="0 0 ${GRAPH_WIDTH} ${height}" width="${GRAPH_WIDTH}" height="${height}"
+             role="group" aria-label="${cluster.sources} sources and ${cluster.targets} targets">
+            ${edges}
+            ${nodes}
+        </svg>
+    `;
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CLUSTER_SORTS,
+        getMappingEdges,
+        buildMatchClusters,
+        sortClusters,
+        findCluster,
+        formatGraphLabel,
+        layoutCluster,
+        renderClusterGraph
+    };
+}
@@ -0,0 +1,180 @@
+/**
+ * Mahabharata Reader - Entity Co-occurrence Network
+ *
+ * Persons, places and celestials of the reader data (shloka.entities) as a
+ * network: two entities are linked when they are named in the same shloka,
+ * or in the same adhyaya, and the link is weighted by how often that
+ * happens. Entities are identified by their e.key, as in the entity index.
+ */
+
+// Entity types drawn as nodes, with the colours of their highlights in the reader
+const NETWORK_ENTITY_TYPES = {
+    person: '#3b82f6',
+    place: '#22c55e',
+    celestial: '#fbbf24',
+};
+
+// What counts as appearing together
+const NETWORK_UNITS = {
+    shloka: 'श्लोक | Same shloka',
+    adhyaya: 'अध्याय | Same adhyaya',
+};
+
+// Most-mentioned entities drawn; the rest are left out to keep the drawing legible
+const NETWORK_NODE_LIMIT = 40;
+
+// Circular layout
+const NETWORK_SIZE = 640;
+const NETWORK_RADIUS = 230;
+
+/**
+ * Co-occurrence network of some adhyayas
+ * @param {Array} adhyayas - Reader adhyayas with their shlokas loaded
+ * @param {object} options - { unit: key of NETWORK_UNITS, limit: most nodes kept }
+ * @returns {object} {
+ *     nodes: [{ id, type, key, text, mentions, degree }],
+ *     edges: [{ source, target, weight, units: [{ adhyaya, shlokas }] }],
+ *     total: entities found before the limit
+ * }
+ */
+function buildEntityNetwork(adhyayas, { unit = 'shloka', limit = NETWORK_NODE_LIMIT } = {}) {
+    const found = new Map();
+    const units = [];
+
+    adhyayas.forEach(adhyaya => {
+        let current = null;
+        adhyaya.shlokas.forEach(shloka => {
+            if (unit === 'shloka' || !current) {
+                current = { adhyaya, members: new Map() };
+                units.push(current);
+            }
+
+            Object.entries(shloka.entities || {}).forEach(([type, entities]) => {
+                if (!NETWORK_ENTITY_TYPES[type]) return;
+                entities.forEach(entity => {
+                    const key = entity.key || entity.text;
+                    if (!key) return;
+
+                    const id = `${type}:${key}`;
+                    if (!found.has(id)) found.set(id, { id, type, key, forms: new Map(), mentions: 0, degree: 0 });
+                    const node = found.get(id);
+                    node.mentions++;
+                    node.forms.set(entity.text, (node.forms.get(entity.text) || 0) + 1);
+
+                    // Shlokas of the unit naming this entity
+                    if (!current.members.has(id)) current.members.set(id, []);
+                    const shlokas = current.members.get(id);
+                    if (shlokas[shlokas.length - 1] !== shloka) shlokas.push(shloka);
+                });
+            });
+        });
+    });
+
+    const nodes = [...found.values()]
+        .sort((a, b) => b.mentions - a.mentions || a.key.localeCompare(b.key))
+        .slice(0, limit);
+    const kept = new Set(nodes.map(node => node.id));
+
+    const edges = new Map();
+    units.forEach(({ adhyaya, members }) => {
+        const ids = [...members.keys()].filter(id => kept.has(id)).sort();
+        for (let i = 0; i < ids.length; i++) {
+            for (let j = i + 1; j < ids.length; j++) {
+                const edgeId = `${ids[i]}|${ids[j]}`;
+                if (!edges.has(edgeId)) edges.set(edgeId, { source: ids[i], target: ids[j], weight: 0, units: [] });
+                const edge = edges.get(edgeId);
+                edge.weight++;
+
+                const shlokas = [...new Set([...members.get(ids[i]), ...members.get(ids[j])])]
+                    .sort((a, b) => adhyaya.shlokas.indexOf(a) - adhyaya.shlokas.indexOf(b));
+                edge.units.push({ adhyaya, shlokas });
+            }
+        }
+    });
+
+    edges.forEach(edge => {
+        found.get(edge.source).degree++;
+        found.get(edge.target).degree++;
+    });
+
+    nodes.forEach(node => {
+        node.text = [...node.forms.entries()].sort((a, b) => b[1] - a[1])[0][0] || node.key;
+    });
+
+    return {
+        nodes,
+        edges: [...edges.values()].sort((a, b) => b.weight - a.weight),
+        total: found.size
+    };
+}
+
+/**
+ * SVG drawing of a network: nodes on a circle grouped by type, edges as
+ * chords whose width follows their weight. Edges are focusable
+ * `.network-edge[data-edge]` lines (index into network.edges).
+ * @param {object} network - From buildEntityNetwork()
+ * @param {object} options - { selectedEdge: index of the highlighted edge }
+ * @returns {string} SVG markup
+ */
+function renderEntityNetwork(network, { selectedEdge = null } = {}) {
+    const types = Object.keys(NETWORK_ENTITY_TYPES);
+    const ordered = [...network.nodes].sort((a, b) =>
+        types.indexOf(a.type) - types.indexOf(b.type) || b.mentions - a.mentions);
+    const centre = NETWORK_SIZE / 2;
+    const position = new Map(ordered.map((node, i) => {
+        const angle = (2 * Math.PI * i) / ordered.length - Math.PI / 2;
+        return [node.id, { x: centre + NETWORK_RADIUS * Math.cos(angle), y: centre + NETWORK_RADIUS * Math.sin(angle), angle }];
+    }));
+
+    const maxWeight = Math.max(1, ...network.edges.map(edge => edge.weight));
+    const maxMentions = Math.max(1, ...network.nodes.map(node => node.mentions));
+    const byId = new Map(network.nodes.map(node => [node.id, node]));
+
+    const edges = network.edges.map((edge, i) => {
+        const from = position.get(edge.source);
+        const to = position.get(edge.target);
+        const label = `${byId.get(edge.source).text} — ${byId.get(edge.target).text}: ${edge.weight}`;
+        return `
+            <line class="network-edge ${i === selectedEdge ? 'selected' : ''}" data-edge="${i}"
+                  x1="${from.x.toFixed(1)}" y1="${from.y.toFixed(1)}" x2="${to.x.toFixed(1)}" y2="${to.y.toFixed(1)}"
+                  stroke-width="${(1 + (edge.weight / maxWeight) * 6).toFixed(2)}"
+                  tabindex="0" role="button" aria-label="${escapeHtml(label)}">
+                <title>${escapeHtml(label)}</title>
+            </line>
+        `;
+    }).join('');
+
+    const nodes = ordered.map(node => {
+        const { x, y, angle } = position.get(node.id);
+        const right = Math.cos(angle) >= 0;
+        const labelX = x + (right ? 10 : -10);
+        return `
+            <g class="network-node ${node.type}">
+                <title>${escapeHtml(node.text)} (${escapeHtml(node.key)}): ${node.mentions}</title>
+                <circle cx="${x.toFixed(1)}" cy="${y.toFixed(1)}" r="${(3 + (node.mentions / maxMentions) * 7).toFixed(1)}"
+                        fill="${NETWORK_ENTITY_TYPES[node.type]}"></circle>
+                <text class="network-label" x="${labelX.toFixed(1)}" y="${(y + 4).toFixed(1)}"
+                      text-anchor="${right ? 'start' : 'end'}">${escapeHtml(node.text)}</text>
+            </g>
+        `;
+    }).join('');
+
+    return `
+        <svg class="network-svg" viewBox="-120 0 ${NETWORK_SIZE + 240} ${NETWORK_SIZE}"
+             role="group" aria-label="${network.nodes.length} entities, ${network.edges.length} links">
+            ${edges}
+            ${nodes}
+        </svg>
+    `;
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        NETWORK_ENTITY_TYPES,
+        NETWORK_UNITS,
+        NETWORK_NODE_LIMIT,
+        buildEntityNetwork,
+        renderEntityNetwork
+    };
+}
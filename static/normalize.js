@@ -0,0 +1,222 @@
+/**
+ * Mahabharata Dashboard - Sanskrit Normalization
+ *
+ * Configurable orthographic normalization shared by the dashboard diff,
+ * search and the viewer. Each rule can be switched on or off; the choice
+ * is stored in localStorage so every page compares text the same way.
+ */
+
+const NORMALIZATION_STORAGE_KEY = 'mbh-normalization';
+
+// Consonants grouped by place of articulation, for homorganic nasals
+const NASAL_CLASSES = [
+    { nasal: 'ङ', consonants: 'कखगघ' },
+    { nasal: 'ञ', consonants: 'चछजझ' },
+    { nasal: 'ण', consonants: 'टठडढ' },
+    { nasal: 'न', consonants: 'तथदध' },
+    { nasal: 'म', consonants: 'पफबभ' },
+];
+
+// Rules run in this order; later rules see the output of earlier ones
+const NORMALIZATION_RULES = [
+    {
+        id: 'punctuation',
+        label: 'Dandas & numerals',
+        example: 'वीराः॥१॥ → वीराः',
+        enabled: true,
+        apply: text => text.replace(/[।॥|\d०-९]/g, '')
+    },
+    {
+        id: 'joiners',
+        label: 'Nukta & zero-width joiners',
+        example: 'क़ → क',
+        enabled: true,
+        apply: text => text.replace(/[़‌‍]/g, '')
+    },
+    {
+        id: 'avagraha',
+        label: 'Avagraha',
+        example: 'यदाऽश्रौषं → यदाश्रौषं',
+        enabled: false,
+        apply: text => text.replace(/ऽ/g, '')
+    },
+    {
+        id: 'candrabindu',
+        label: 'Candrabindu as anusvara',
+        example: 'ँ → ं',
+        enabled: false,
+        apply: text => text.replace(/ँ/g, 'ं')
+    },
+    {
+        id: 'nasals',
+        label: 'Homorganic nasals',
+        example: 'सङ्कल्प → संकल्प',
+        enabled: false,
+        apply: text => NASAL_CLASSES.reduce(
+            (out, { nasal, consonants }) => out.replace(new RegExp(`${nasal}्(?=[${consonants}])`, 'g'), 'ं'),
+            text
+        )
+    },
+    {
+        id: 'gemination',
+        label: 'Doubling after र',
+        example: 'धर्म्म → धर्म',
+        enabled: false,
+        apply: text => text.replace(/र्([क-ह])्\1/g, 'र्$1')
+    },
+    {
+        id: 'sandhi',
+        label: 'Word-final sandhi',
+        example: 'रामो / रामस् → रामः, तद् → तत्',
+        enabled: false,
+        apply: text => text
+            .replace(/ो(?=\s|$)/g, 'ः')
+            .replace(/[रसशष]्(?=\s|$)/g, 'ः')
+            .replace(/ग्(?=\s|$)/g, 'क्')
+            .replace(/ड्(?=\s|$)/g, 'ट्')
+            .replace(/द्(?=\s|$)/g, 'त्')
+            .replace(/ब्(?=\s|$)/g, 'प्')
+    },
+    {
+        id: 'ba-va',
+        label: 'ब / व',
+        example: 'बहु → वहु',
+        enabled: false,
+        apply: text => text.replace(/ब/g, 'व')
+    },
+    {
+        id: 'anusvara',
+        label: 'Anusvara as म्',
+        example: 'शुभं → शुभम्',
+        enabled: true,
+        apply: text => text.replace(/ं/g, 'म्')
+    },
+    {
+        id: 'visarga',
+        label: 'Drop visarga',
+        example: 'वीराः → वीरा',
+        enabled: true,
+        apply: text => text.replace(/ः/g, '')
+    },
+];
+
+// Parsed settings, cached because normalizeSanskrit() runs once per word
+let normalizationSettings = null;
+
+/**
+ * Current on/off state of every rule (stored choice, else the rule default)
+ * @returns {object} Map of rule id → boolean
+ */
+function getNormalizationSettings() {
+    if (normalizationSettings) return normalizationSettings;
+
+    let stored = {};
+    try {
+        stored = JSON.parse(localStorage.getItem(NORMALIZATION_STORAGE_KEY)) || {};
+    } catch (e) {
+        // Missing or corrupt setting - use defaults
+    }
+
+    normalizationSettings = {};
+    NORMALIZATION_RULES.forEach(rule => {
+        normalizationSettings[rule.id] = typeof stored[rule.id] === 'boolean' ? stored[rule.id] : rule.enabled;
+    });
+    return normalizationSettings;
+}
+
+/**
+ * Switch one rule on or off and notify open views
+ * @param {string} ruleId - Rule id from NORMALIZATION_RULES
+ * @param {boolean} enabled - New state
+ */
+function setNormalizationRule(ruleId, enabled) {
+    const settings = { ...getNormalizationSettings(), [ruleId]: enabled };
+    localStorage.setItem(NORMALIZATION_STORAGE_KEY, JSON.stringify(settings));
+    normalizationSettings = settings;
+    window.dispatchEvent(new CustomEvent('mbh-normalization-change', { detail: settings }));
+}
+
+// Pick up changes made on another page in the same browser
+if (typeof window !== 'undefined') {
+    window.addEventListener('storage', (e) => {
+        if (e.key !== NORMALIZATION_STORAGE_KEY) return;
+        normalizationSettings = null;
+        window.dispatchEvent(new CustomEvent('mbh-normalization-change', { detail: getNormalizationSettings() }));
+    });
+}
+
+/**
+ * Normalize Sanskrit text with the enabled rules
+ * @param {string} text - Devanagari text (a word or a whole verse)
+ * @param {object} settings - Rule states; defaults to the stored settings
+ * @returns {string} Normalized text
+ */
+function normalizeSanskrit(text, settings = getNormalizationSettings()) {
+    if (!text) return '';
+
+    let out = text.replace(/\s+/g, ' ').trim();
+    NORMALIZATION_RULES.forEach(rule => {
+        if (settings[rule.id]) out = rule.apply(out);
+    });
+    return out.trim().toLowerCase();
+}
+
+/**
+ * Check whether two readings differ only in ways the enabled rules ignore
+ * (word boundaries are ignored too, so split and joined sandhi compare equal)
+ * @param {string} a - First reading
+ * @param {string} b - Second reading
+ * @param {object} settings - Rule states; defaults to the stored settings
+ * @returns {boolean} True if the normalized texts are identical
+ */
+function isOrthographicVariant(a, b, settings = getNormalizationSettings()) {
+    if (!a || !b) return false;
+    const squash = text => normalizeSanskrit(text, settings).replace(/\s+/g, '');
+    return squash(a) === squash(b);
+}
+
+/**
+ * Render the rule table with a checkbox per rule
+ * @param {object} settings - Rule states; defaults to the stored settings
+ * @returns {string} HTML table
+ */
+function renderNormalizationTable(settings = getNormalizationSettings()) {
+    return `
+        <table class="normalization-table">
+            <tbody>
+                ${NORMALIZATION_RULES.map(rule => `
+                    <tr>
+                        <td>
+                            <label>
+                                <input type="checkbox" data-normalization-rule="${rule.id}" ${settings[rule.id] ? 'checked' : ''}>
+                                ${rule.label}
+                            </label>
+                        </td>
+                        <td class="normalization-example">${rule.example}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+/**
+ * Wire up the checkboxes of a rendered rule table
+ * @param {Element} container - Element containing renderNormalizationTable() output
+ */
+function bindNormalizationTable(container) {
+    container.querySelectorAll('[data-normalization-rule]').forEach(input => {
+        input.addEventListener('change', () => {
+            setNormalizationRule(input.dataset.normalizationRule, input.checked);
+        });
+    });
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        NORMALIZATION_RULES,
+        normalizeSanskrit,
+        isOrthographicVariant
+    };
+}
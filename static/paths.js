@@ -1,8 +1,8 @@
 /**
  * Mahabharata Dashboard - Data Paths Configuration
  * 
- * Central configuration for all data file paths.
- * Update these if directory structure changes.
+ * Central configuration for all data file paths, relative to the site
+ * root. Update these if directory structure changes; data.js loads them.
  */
 
 const DATA_PATHS = {
@@ -12,10 +12,32 @@ const DATA_PATHS = {
     // Pipeline output (mappings) - exported from pipeline
     mappings: {
         book: (bookNum) => `data/book_${String(bookNum).padStart(2, '0')}_mappings.json`,
+        // Chunked layout (see shards.js): an index plus one file per adhyaya
+        bookIndex: (bookNum) => `data/book_${String(bookNum).padStart(2, '0')}/index.json`,
+        shard: (bookNum, shard) => `data/book_${String(bookNum).padStart(2, '0')}/${shard}`,
+        // An earlier run kept for comparison (see rundiff.js)
+        baselineDir: 'data/baseline',
+        baseline: (dir, bookNum) => `${dir.replace(/\/+$/, '')}/book_${String(bookNum).padStart(2, '0')}_mappings.json`,
         stats: 'data/pipeline_stats.json',
         allBooks: 'data/all_books_summary.json',
     },
     
+    // Data quality reports (duplicates.json is the older format without gaps)
+    quality: {
+        book: (bookNum) => `data/book_${String(bookNum).padStart(2, '0')}_quality.json`,
+        duplicates: (bookNum) => `data/book_${String(bookNum).padStart(2, '0')}_duplicates.json`,
+    },
+    
+    corpusStructure: 'data/corpus_structure.json',
+    
+    // Reader data (viewer/index.html)
+    viewer: {
+        summary: 'viewer/data/books_summary.json',
+        book: (bookNum) => `viewer/data/book_${String(bookNum).padStart(2, '0')}_viewer.json`,
+        bookIndex: (bookNum) => `viewer/data/book_${String(bookNum).padStart(2, '0')}/index.json`,
+        shard: (bookNum, shard) => `viewer/data/book_${String(bookNum).padStart(2, '0')}/${shard}`,
+    },
+    
     // Source corpora
     sources: {
         sriranga: '../../sriranga',
@@ -28,9 +50,24 @@ const DATA_PATHS = {
     metadata: {
         xmlMetadata: '../../visualization-2/xml_metadata_sanskrit.json',
         parvaMapping: '../config/parva_mapping.json',
-    }
+    },
 };
 
+// Site root (the directory holding index.html), taken from this script's
+// own URL so pages in subdirectories such as viewer/ resolve paths alike
+const SITE_ROOT = typeof document !== 'undefined' && document.currentScript
+    ? new URL('..', document.currentScript.src).href
+    : '';
+
+/**
+ * Resolve a DATA_PATHS entry to a URL usable from any page
+ * @param {string} path - Path relative to the site root
+ * @returns {string} Absolute URL (the path itself outside a browser)
+ */
+function resolveDataUrl(path) {
+    return SITE_ROOT ? new URL(path, SITE_ROOT).href : path;
+}
+
 /**
  * Get path to book mapping file
  * @param {number} bookNumber - Book number (1-19)
@@ -40,6 +77,15 @@ function getBookMappingPath(bookNumber) {
     return DATA_PATHS.mappings.book(bookNumber);
 }
 
+/**
+ * Get path to a book's dashboard page
+ * @param {number} bookNumber - Book number (1-19)
+ * @returns {string} Page filename, e.g. book_01.html
+ */
+function getBookPagePath(bookNumber) {
+    return `book_${String(bookNumber).padStart(2, '0')}.html`;
+}
+
 /**
  * Get path to pipeline statistics
  * @returns {string} Path to stats JSON
@@ -101,10 +147,26 @@ function truncateText(text, maxLength = 80) {
     return text.substring(0, maxLength) + '...';
 }
 
+/**
+ * Escape text for safe insertion into HTML
+ * @param {string} text - Raw text
+ * @returns {string} HTML-escaped text
+ */
+function escapeHtml(text) {
+    if (!text) return '';
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 /**
  * Parse Sriranga shloka data to get hierarchy info
  * Uses parva_id, upaparva_id, adhyaya_id from the exported data
- * Falls back to chapter-based grouping if hierarchy IDs not available
+ * Falls back to chapter-based grouping if hierarchy IDs not available;
+ * such results are marked `degraded` so the UI can say so
  * @param {object} shloka - Shloka object with hierarchy info
  * @returns {object} Parsed components
  */
@@ -123,17 +185,20 @@ function parseSrirangaHierarchy(shloka) {
         };
     }
     
-    // Fallback: group by chapter number
+    // Fallback: group by chapter number, ten chapters per placeholder upaparva
+    const book = shloka.book || 1;
     const chapter = shloka.chapter || 0;
+    const group = Math.floor((chapter - 1) / 10) + 1;
     return {
-        book: shloka.book || 1,
-        parva: `P01`,  // Default parva for Book 1
-        parvaName: 'Adi Parva',
-        upaparva: `U${String(Math.floor((chapter - 1) / 10) + 1).padStart(2, '0')}`,
-        upaparvaName: `Upaparva ${Math.floor((chapter - 1) / 10) + 1}`,
+        book,
+        parva: `P${String(book).padStart(2, '0')}`,
+        parvaName: `Book ${book}`,
+        upaparva: `U${String(group).padStart(2, '0')}`,
+        upaparvaName: `Chapters ${(group - 1) * 10 + 1}–${group * 10}`,
         adhyaya: `A${String(chapter).padStart(3, '0')}`,
         adhyayaName: `Adhyaya ${chapter}`,
-        verseNumeric: shloka.verse || 0
+        verseNumeric: shloka.verse || 0,
+        degraded: true
     };
 }
 
@@ -149,6 +214,7 @@ function parseSrirangaId(id) {
     if (newMatch) {
         return {
             book: parseInt(newMatch[1], 10),
+            chapter: parseInt(newMatch[2], 10),
             parva: `P${newMatch[1].padStart(2, '0')}`,
             upaparva: 'U01',
             adhyaya: `A${newMatch[2].padStart(3, '0')}`,
@@ -173,15 +239,49 @@ function parseSrirangaId(id) {
 }
 
 /**
- * Group shlokas by hierarchy (Parva → Upaparva → Adhyaya)
- * @param {Array} shlokas - Array of shloka objects
- * @returns {object} Hierarchical structure
+ * Key of every record: its shloka ID, plus #n for the records sharing the
+ * ID after the first (some books repeat IDs). Records sharing an ID are
+ * ordered by source text, ties keeping record order, so the keys do not
+ * depend on the order the records were loaded in.
+ * @param {Array} records - Mapping records or viewer shlokas
+ * @returns {Array} Keys in record order
  */
-function groupByHierarchy(shlokas) {
-    const hierarchy = {};
-    
-    // Helper to create empty stats object
-    const createStats = () => ({
+function getRecordKeys(records) {
+    const keys = records.map(record => record.id || record.source_id);
+    const byId = new Map();
+    keys.forEach((id, i) => {
+        if (!byId.has(id)) byId.set(id, []);
+        byId.get(id).push(i);
+    });
+
+    const text = (i) => String(records[i].source_text || '');
+    byId.forEach((indexes, id) => {
+        if (indexes.length < 2) return;
+        indexes
+            .sort((a, b) => (text(a) > text(b)) - (text(a) < text(b)) || a - b)
+            .forEach((index, n) => {
+                if (n > 0) keys[index] = `${id}#${n + 1}`;
+            });
+    });
+    return keys;
+}
+
+/**
+ * Shloka ID and entry of a record key
+ * @param {string} key - From getRecordKeys()
+ * @returns {object} { id, entry } with entry counting from 0 among the records sharing the ID
+ */
+function parseRecordKey(key) {
+    const match = String(key).match(/^(.*)#(\d+)$/);
+    return match ? { id: match[1], entry: Number(match[2]) - 1 } : { id: String(key), entry: 0 };
+}
+
+/**
+ * Create an empty statistics object for a hierarchy node
+ * @returns {object} Zeroed counters
+ */
+function createStats() {
+    return {
         matched: 0, 
         unmatched: 0, 
         total: 0,
@@ -190,7 +290,84 @@ function groupByHierarchy(shlokas) {
         oneToMany: 0,      // one source → many targets
         ce: 0,             // Critical Edition matches
         sarit: 0           // SARIT matches
-    });
+    };
+}
+
+/**
+ * Count one shloka into a statistics object
+ * @param {object} stats - Object from createStats()
+ * @param {object} shloka - Shloka object
+ */
+function addShlokaToStats(stats, shloka) {
+    stats.total++;
+    
+    if (shloka.has_match) {
+        stats.matched++;
+        
+        // Track partial matches (< 90% similarity)
+        if (shloka.similarity < 0.9) {
+            stats.partial++;
+        }
+        
+        // Track relationships
+        if (shloka.many_to_one) {
+            stats.manyToOne++;
+        }
+        if (shloka.one_to_many) {
+            stats.oneToMany++;
+        }
+        
+        // Track corpus types
+        if (shloka.match_corpus === 'ce' || shloka.match_stage === 'stage8_critical_edition') {
+            stats.ce++;
+        }
+        if (shloka.match_corpus === 'sarit' || shloka.match_stage === 'stage9_sarit') {
+            stats.sarit++;
+        }
+    } else {
+        stats.unmatched++;
+    }
+}
+
+/**
+ * Whole-book statistics shown by the dashboard stats bar and filters.
+ * Note: "matched" = high confidence (≥90%), "partial" = lower confidence (<90%)
+ * @param {Array} shlokas - Array of shloka objects
+ * @returns {object} Counters, with matchRate as a percentage string
+ */
+function computeBookStats(shlokas) {
+    const stats = {
+        total: shlokas.length,
+        allMatched: shlokas.filter(s => s.has_match).length,  // Total with any match
+        unmatched: shlokas.filter(s => !s.has_match).length,
+        highConfidence: shlokas.filter(s => s.has_match && s.similarity >= 0.9).length,
+        partial: shlokas.filter(s => s.has_match && s.similarity < 0.9).length,
+        // Corpus-specific counts
+        mndutt: shlokas.filter(s => s.match_corpus === 'mndutt').length,
+        ce: shlokas.filter(s => s.match_corpus === 'ce').length,
+        sarit: shlokas.filter(s => s.match_corpus === 'sarit').length,
+        // Relationship counts
+        manyToOne: shlokas.filter(s => s.many_to_one).length,
+        oneToMany: shlokas.filter(s => s.one_to_many).length,
+    };
+    
+    // For display, "matched" shows high confidence only
+    stats.matched = stats.highConfidence;
+    
+    stats.matchRate = stats.total > 0 
+        ? ((stats.allMatched / stats.total) * 100).toFixed(1) 
+        : 0;
+    
+    return stats;
+}
+
+/**
+ * Group shlokas by hierarchy (Parva → Upaparva → Adhyaya)
+ * @param {Array} shlokas - Array of shloka objects
+ * @returns {object} Hierarchical structure
+ */
+function groupByHierarchy(shlokas) {
+    const hierarchy = {};
     
     shlokas.forEach(shloka => {
         // Use the new hierarchy parser that looks at parva_id, upaparva_id, adhyaya_id
@@ -226,44 +403,17 @@ function groupByHierarchy(shlokas) {
         
         hierarchy[parva].upaparvas[upaparva].adhyayas[adhyaya].shlokas.push(shloka);
         
-        // Update basic stats
-        const isMatched = shloka.has_match;
-        const statsToUpdate = [
-            hierarchy[parva].stats,
-            hierarchy[parva].upaparvas[upaparva].stats,
-            hierarchy[parva].upaparvas[upaparva].adhyayas[adhyaya].stats
-        ];
+        // Nodes holding any shloka grouped by the chapter fallback
+        if (parsed.degraded) {
+            hierarchy[parva].degraded = true;
+            hierarchy[parva].upaparvas[upaparva].degraded = true;
+            hierarchy[parva].upaparvas[upaparva].adhyayas[adhyaya].degraded = true;
+        }
         
-        statsToUpdate.forEach(stats => {
-            stats.total++;
-            
-            if (isMatched) {
-                stats.matched++;
-                
-                // Track partial matches (< 90% similarity)
-                if (shloka.similarity < 0.9) {
-                    stats.partial++;
-                }
-                
-                // Track relationships
-                if (shloka.many_to_one) {
-                    stats.manyToOne++;
-                }
-                if (shloka.one_to_many) {
-                    stats.oneToMany++;
-                }
-                
-                // Track corpus types
-                if (shloka.match_corpus === 'ce' || shloka.match_stage === 'stage8_critical_edition') {
-                    stats.ce++;
-                }
-                if (shloka.match_corpus === 'sarit' || shloka.match_stage === 'stage9_sarit') {
-                    stats.sarit++;
-                }
-            } else {
-                stats.unmatched++;
-            }
-        });
+        // Update basic stats
+        addShlokaToStats(hierarchy[parva].stats, shloka);
+        addShlokaToStats(hierarchy[parva].upaparvas[upaparva].stats, shloka);
+        addShlokaToStats(hierarchy[parva].upaparvas[upaparva].adhyayas[adhyaya].stats, shloka);
     });
     
     return hierarchy;
@@ -273,14 +423,23 @@ function groupByHierarchy(shlokas) {
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         DATA_PATHS,
+        resolveDataUrl,
         getBookMappingPath,
+        getBookPagePath,
         getStatsPath,
         formatNumber,
         formatPercent,
         getSimilarityClass,
         getMatchStatusClass,
         truncateText,
+        escapeHtml,
         parseSrirangaId,
+        getRecordKeys,
+        parseRecordKey,
+        parseSrirangaHierarchy,
+        createStats,
+        addShlokaToStats,
+        computeBookStats,
         groupByHierarchy
     };
 }
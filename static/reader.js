@@ -0,0 +1,223 @@
+/**
+ * Mahabharata Reader - Reading Position, Bookmarks and Notes
+ *
+ * What a reader keeps between visits to viewer/index.html: where they
+ * stopped, named bookmarks and private notes on shlokas. Everything stays
+ * in localStorage; the reader file moves it between machines.
+ */
+
+const READER_STORAGE_KEY = 'mbh-reader';
+const READER_FILE_FORMAT = 'mahabharata-reader-notes';
+const READER_FILE_VERSION = 1;
+
+/**
+ * Stored reader data:
+ * {
+ *     position: { book, adhyaya, shloka, saved_at } | null,
+ *     bookmarks: { key: { key, book, adhyaya, chapter, verse, name, created_at, updated_at } },
+ *     notes: { key: { key, book, adhyaya, chapter, verse, text, updated_at } }
+ * }
+ * key is the shloka's record key (getRecordKeys in paths.js).
+ */
+let readerData = null;
+
+function createReaderData() {
+    return { position: null, bookmarks: {}, notes: {} };
+}
+
+/**
+ * Current reader data (stored data, else empty)
+ * @returns {object}
+ */
+function getReaderData() {
+    if (readerData) return readerData;
+
+    readerData = createReaderData();
+    try {
+        const stored = JSON.parse(localStorage.getItem(READER_STORAGE_KEY));
+        if (stored) readerData = normalizeReaderData(stored);
+    } catch (e) {
+        // Missing or corrupt data - start empty
+    }
+    return readerData;
+}
+
+/**
+ * Store reader data and notify open views
+ * @param {object} data - Full reader data
+ * @param {boolean} notify - false for position updates, which no view shows
+ */
+function saveReaderData(data, notify = true) {
+    readerData = data;
+    try {
+        localStorage.setItem(READER_STORAGE_KEY, JSON.stringify(data));
+    } catch (e) {
+        console.warn('Could not store reader data:', e);
+    }
+    if (notify) {
+        window.dispatchEvent(new CustomEvent('mbh-reader-change', { detail: data }));
+    }
+}
+
+/**
+ * Remember where the reader is
+ * @param {object} position - { book, adhyaya, shloka } (shloka key of the first visible shloka)
+ */
+function saveReadingPosition(position) {
+    saveReaderData({ ...getReaderData(), position: { ...position, saved_at: new Date().toISOString() } }, false);
+}
+
+/**
+ * Add or rename a bookmark
+ * @param {object} ref - { key, book, adhyaya, verse } of the shloka
+ * @param {string} name - Bookmark name
+ */
+function setBookmark(ref, name) {
+    const data = getReaderData();
+    const previous = data.bookmarks[ref.key];
+    const now = new Date().toISOString();
+    const bookmark = { ...ref, name: name.trim(), created_at: previous?.created_at || now, updated_at: now };
+    saveReaderData({ ...data, bookmarks: { ...data.bookmarks, [ref.key]: bookmark } });
+}
+
+function removeBookmark(key) {
+    const data = getReaderData();
+    const bookmarks = { ...data.bookmarks };
+    delete bookmarks[key];
+    saveReaderData({ ...data, bookmarks });
+}
+
+/**
+ * Save the note on a shloka; an empty note removes it
+ * @param {object} ref - { key, book, adhyaya, verse } of the shloka
+ * @param {string} text - Note text
+ */
+function setNote(ref, text) {
+    const data = getReaderData();
+    const notes = { ...data.notes };
+    delete notes[ref.key];
+    if (text.trim()) {
+        notes[ref.key] = { ...ref, text: text.trim(), updated_at: new Date().toISOString() };
+    }
+    saveReaderData({ ...data, notes });
+}
+
+/**
+ * Keep only well-formed entries of stored or imported data
+ * @param {object} data - Parsed JSON
+ * @returns {object} Reader data
+ */
+function normalizeReaderData(data) {
+    const result = createReaderData();
+    // Only the known fields, each of its type: entries are written into the page
+    const string = (value) => (typeof value === 'string' ? value : null);
+    const integer = (value) => (Number.isInteger(value) ? value : null);
+    const toRef = (entry) => (entry && typeof entry.key === 'string' && Number.isInteger(entry.book) && typeof entry.adhyaya === 'string'
+        ? { key: entry.key, book: entry.book, adhyaya: entry.adhyaya, chapter: integer(entry.chapter), verse: integer(entry.verse) }
+        : null);
+
+    const position = data.position;
+    if (position && Number.isInteger(position.book) && typeof position.adhyaya === 'string' && typeof position.shloka === 'string') {
+        result.position = { book: position.book, adhyaya: position.adhyaya, shloka: position.shloka, saved_at: string(position.saved_at) };
+    }
+    Object.values(data.bookmarks || {}).forEach(bookmark => {
+        const ref = toRef(bookmark);
+        if (!ref || typeof bookmark.name !== 'string') return;
+        result.bookmarks[ref.key] = { ...ref, name: bookmark.name, created_at: string(bookmark.created_at), updated_at: string(bookmark.updated_at) };
+    });
+    Object.values(data.notes || {}).forEach(note => {
+        const ref = toRef(note);
+        if (!ref || typeof note.text !== 'string' || !note.text) return;
+        result.notes[ref.key] = { ...ref, text: note.text, updated_at: string(note.updated_at) };
+    });
+    return result;
+}
+
+/**
+ * Build the reader file
+ * @param {object} data - Reader data
+ * @returns {string} JSON file content
+ */
+function buildReaderFile(data) {
+    const byPlace = (a, b) => a.book - b.book || a.key.localeCompare(b.key);
+    return JSON.stringify({
+        format: READER_FILE_FORMAT,
+        version: READER_FILE_VERSION,
+        exported_at: new Date().toISOString(),
+        position: data.position,
+        bookmarks: Object.values(data.bookmarks).sort(byPlace),
+        notes: Object.values(data.notes).sort(byPlace)
+    }, null, 2);
+}
+
+/**
+ * Read a reader file
+ * @param {string} text - File content
+ * @returns {object} Reader data
+ * @throws {Error} When the file is not a reader file
+ */
+function parseReaderFile(text) {
+    let file;
+    try {
+        file = JSON.parse(text);
+    } catch (e) {
+        throw new Error(`Not a JSON file: ${e.message}`);
+    }
+    if (!file || file.format !== READER_FILE_FORMAT) {
+        throw new Error('Not a reader bookmarks and notes file');
+    }
+    if (file.version > READER_FILE_VERSION) {
+        throw new Error(`Reader file version ${file.version} is newer than this viewer supports`);
+    }
+
+    const keyed = (entries) => Object.fromEntries((Array.isArray(entries) ? entries : []).map(entry => [entry?.key, entry]));
+    return normalizeReaderData({ position: file.position, bookmarks: keyed(file.bookmarks), notes: keyed(file.notes) });
+}
+
+/**
+ * Combine imported reader data with the stored data. A shloka bookmarked
+ * or annotated in both keeps the newer entry, and the newer position wins.
+ * @returns {object} Merged reader data
+ */
+function mergeReaderData(current, imported) {
+    const newer = (a, b, field) => (!a || (b && String(b[field] || '') > String(a[field] || '')) ? b : a);
+    const merge = (ours, theirs, field) => {
+        const merged = { ...ours };
+        Object.entries(theirs).forEach(([key, entry]) => {
+            merged[key] = newer(ours[key], entry, field);
+        });
+        return merged;
+    };
+
+    return {
+        position: newer(current.position, imported.position, 'saved_at'),
+        bookmarks: merge(current.bookmarks, imported.bookmarks, 'updated_at'),
+        notes: merge(current.notes, imported.notes, 'updated_at')
+    };
+}
+
+// Pick up bookmarks and notes changed in another tab
+if (typeof window !== 'undefined') {
+    window.addEventListener('storage', (e) => {
+        if (e.key !== READER_STORAGE_KEY) return;
+        readerData = null;
+        window.dispatchEvent(new CustomEvent('mbh-reader-change', { detail: getReaderData() }));
+    });
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        READER_FILE_FORMAT,
+        getReaderData,
+        saveReaderData,
+        saveReadingPosition,
+        setBookmark,
+        removeBookmark,
+        setNote,
+        normalizeReaderData,
+        buildReaderFile,
+        parseReaderFile,
+        mergeReaderData
+    };
+}
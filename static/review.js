@@ -0,0 +1,128 @@
+/**
+ * Mahabharata Dashboard - Match Review
+ *
+ * Reviewer decisions (accept, reject or override a match) stored locally in
+ * IndexedDB, and the corrections file the pipeline reads them back from.
+ * Depends on data.js (idbPromise).
+ */
+
+const REVIEW_DB_NAME = 'mbh-review';
+const REVIEW_DB_VERSION = 2;
+const REVIEW_STORE = 'decisions';
+
+const REVIEW_DECISIONS = {
+    accept: { label: 'Accept', icon: '☑', title: 'Match accepted' },
+    reject: { label: 'Reject', icon: '☒', title: 'Match rejected' },
+    override: { label: 'Override', icon: '✎', title: 'Target overridden' }
+};
+
+/**
+ * Review decisions keyed by record key (getRecordKeys: the shloka id, plus
+ * #n for the records sharing it), one record per mapping record:
+ * { key, id, book, decision, original_target_id, target_id, note, reviewed_at }
+ */
+class ReviewStore {
+    constructor() {
+        this.dbPromise = null;
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            if (typeof indexedDB === 'undefined') {
+                return Promise.reject(new Error('IndexedDB is not available in this browser'));
+            }
+
+            const request = indexedDB.open(REVIEW_DB_NAME, REVIEW_DB_VERSION);
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+                const createStore = () => {
+                    const store = db.createObjectStore(REVIEW_STORE, { keyPath: 'key' });
+                    store.createIndex('book', 'book');
+                    return store;
+                };
+                if (event.oldVersion < 1) {
+                    createStore();
+                    return;
+                }
+                // Version 1 was keyed by shloka id: its decisions belong to the first record of the id
+                const old = request.transaction.objectStore(REVIEW_STORE).getAll();
+                old.onsuccess = () => {
+                    db.deleteObjectStore(REVIEW_STORE);
+                    const store = createStore();
+                    old.result.forEach(record => store.put({ key: record.id, ...record }));
+                };
+            };
+            this.dbPromise = idbPromise(request);
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * All decisions, or only those for one book
+     * @param {number} bookNumber - Optional book filter
+     * @returns {Promise<Array>} Decision records
+     */
+    async getAll(bookNumber) {
+        const db = await this.open();
+        const store = db.transaction(REVIEW_STORE, 'readonly').objectStore(REVIEW_STORE);
+        return idbPromise(bookNumber === undefined ? store.getAll() : store.index('book').getAll(bookNumber));
+    }
+
+    async save(record) {
+        const db = await this.open();
+        const tx = db.transaction(REVIEW_STORE, 'readwrite');
+        tx.objectStore(REVIEW_STORE).put(record);
+        await idbPromise(tx);
+        return record;
+    }
+
+    async remove(key) {
+        const db = await this.open();
+        const tx = db.transaction(REVIEW_STORE, 'readwrite');
+        tx.objectStore(REVIEW_STORE).delete(key);
+        await idbPromise(tx);
+    }
+}
+
+/**
+ * Build the corrections file consumed by the pipeline
+ * @param {Array} records - Decision records from ReviewStore
+ * @returns {string} JSON file content
+ */
+function buildCorrectionsFile(records) {
+    const decisions = [...records]
+        .sort((a, b) => a.book - b.book || String(a.key).localeCompare(String(b.key)))
+        .map(record => ({
+            source_id: record.id,
+            // Tells apart records sharing source_id (see getRecordKeys)
+            source_key: record.key,
+            book: record.book,
+            decision: record.decision,
+            original_target_id: record.original_target_id || null,
+            // Target the pipeline should use: none for a rejected match
+            target_id: {
+                accept: record.original_target_id || null,
+                reject: null,
+                override: record.target_id
+            }[record.decision],
+            note: record.note || '',
+            reviewed_at: record.reviewed_at
+        }));
+
+    return JSON.stringify({
+        format: 'mahabharata-match-corrections',
+        version: 1,
+        exported_at: new Date().toISOString(),
+        count: decisions.length,
+        decisions
+    }, null, 2);
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        REVIEW_DECISIONS,
+        ReviewStore,
+        buildCorrectionsFile
+    };
+}
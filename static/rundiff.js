@@ -0,0 +1,97 @@
+/**
+ * Mahabharata Dashboard - Run Comparison
+ *
+ * Compares the mapping records of the current pipeline run against a
+ * baseline run (an older book_NN_mappings.json) and classifies what moved
+ * for each shloka. Records are paired by their key (getRecordKeys): the
+ * shloka ID, numbered by source text where several records share it.
+ * Depends on paths.js.
+ */
+
+// Pages load paths.js first; in Node its helpers are required
+if (typeof module !== 'undefined' && module.exports) {
+    var { getRecordKeys } = require('./paths.js');
+}
+
+// Change kinds, in the order they are listed
+const RUN_CHANGE_KINDS = {
+    gained: { label: 'Gained a match', badge: '+' },
+    lost: { label: 'Lost its match', badge: '−' },
+    target: { label: 'Changed target', badge: '⇄' },
+    corpus: { label: 'Changed corpus', badge: 'C' },
+    stage: { label: 'Changed stage', badge: 'S' },
+    similarity: { label: 'Similarity moved', badge: '±' },
+    new: { label: 'Not in the baseline', badge: '★' },
+};
+
+// Similarity moves smaller than this (0-1) are not reported
+const RUN_DIFF_THRESHOLD = 0.05;
+
+/**
+ * What changed for one shloka between two runs
+ * @param {object|undefined} before - Baseline record (undefined: not in the baseline)
+ * @param {object} after - Current record
+ * @param {number} threshold - Smallest similarity move reported (0-1)
+ * @returns {Array} Keys of RUN_CHANGE_KINDS
+ */
+function getRunChangeKinds(before, after, threshold = RUN_DIFF_THRESHOLD) {
+    if (!before) return ['new'];
+    if (!before.has_match && after.has_match) return ['gained'];
+    if (before.has_match && !after.has_match) return ['lost'];
+    if (!after.has_match) return [];
+
+    const kinds = [];
+    if (before.matched_target_id !== after.matched_target_id) kinds.push('target');
+    if ((before.match_corpus || null) !== (after.match_corpus || null)) kinds.push('corpus');
+    if ((before.match_stage || null) !== (after.match_stage || null)) kinds.push('stage');
+    if (Math.abs((after.similarity || 0) - (before.similarity || 0)) > threshold) kinds.push('similarity');
+    return kinds;
+}
+
+/**
+ * Compare the current run of a book against a baseline run
+ * @param {Array} current - Current mapping records
+ * @param {Array} baseline - Baseline mapping records
+ * @param {object} options - { threshold } smallest similarity move reported (0-1)
+ * @returns {object} {
+ *     changes: Map of current record → { kinds, before },
+ *     counts: { kind: shlokas, changed: shlokas with any change },
+ *     removed: IDs of baseline records missing from the current run, once per record
+ * }
+ */
+function compareRuns(current, baseline, { threshold = RUN_DIFF_THRESHOLD } = {}) {
+    const baselineKeys = getRecordKeys(baseline);
+    const byKey = new Map(baselineKeys.map((key, i) => [key, baseline[i]]));
+    const currentKeys = getRecordKeys(current);
+
+    const changes = new Map();
+    const counts = Object.fromEntries(Object.keys(RUN_CHANGE_KINDS).map(kind => [kind, 0]));
+    counts.changed = 0;
+
+    current.forEach((record, i) => {
+        const before = byKey.get(currentKeys[i]);
+        const kinds = getRunChangeKinds(before, record, threshold);
+        if (kinds.length === 0) return;
+
+        changes.set(record, { kinds, before: before || null });
+        kinds.forEach(kind => counts[kind]++);
+        counts.changed++;
+    });
+
+    const currentKeySet = new Set(currentKeys);
+    const removed = baseline
+        .filter((record, i) => !currentKeySet.has(baselineKeys[i]))
+        .map(record => record.id || record.source_id);
+
+    return { changes, counts, removed };
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        RUN_CHANGE_KINDS,
+        RUN_DIFF_THRESHOLD,
+        getRunChangeKinds,
+        compareRuns
+    };
+}
@@ -0,0 +1,591 @@
+/**
+ * Mahabharata Dashboard - Data Schemas and Diagnostics
+ *
+ * Declared shapes of the JSON files the pages load, validation on load,
+ * and the diagnostics panel listing malformed records by ID.
+ *
+ * Schema nodes are either a type name ('string', 'integer', 'number',
+ * 'boolean', 'array', 'object'; a trailing '?' allows null or a missing
+ * field) or an object: { type: 'object', fields }, { type: 'array', items,
+ * idField } or { type: 'map', values } for objects keyed by data values.
+ * `idField` names the item field used to report issues by record ID.
+ */
+
+// Stop collecting after this many issues (a systematically broken file would list every record)
+const MAX_DIAGNOSTIC_ISSUES = 500;
+
+const SHLOKA_SCHEMA = {
+    type: 'object',
+    fields: {
+        id: 'string',
+        source_id: 'string?',
+        source_text: 'string',
+        has_match: 'boolean',
+        matched_target_id: 'string?',
+        matched_target_text: 'string?',
+        similarity: 'number?',
+        match_method: 'string?',
+        match_stage: 'string?',
+        match_corpus: 'string?',
+        book: 'integer',
+        chapter: 'integer',
+        verse: 'integer',
+        // Hierarchy fields are checked by MAPPING_RECORD_CHECKS so a missing
+        // one is reported once per shloka as missing hierarchy
+        parva_id: 'string?',
+        upaparva_id: 'string?',
+        adhyaya_id: 'string?',
+        parva_name: 'string?',
+        upaparva_name: 'string?',
+        adhyaya_name: 'string?',
+        target_book: 'integer?',
+        target_chapter: 'integer?',
+        target_verse: 'integer?',
+        many_to_one: 'boolean?',
+        sources_sharing_target: 'array?',
+        one_to_many: 'boolean?',
+        additional_target_ids: 'array?',
+        english_translation: 'string?',
+        nilakanta_commentary: 'string?',
+        metadata: 'object?',
+    }
+};
+
+const BOOK_SUMMARY_SCHEMA = {
+    type: 'object',
+    fields: {
+        book_number: 'integer',
+        total: 'integer',
+        matched: 'integer',
+        unmatched: 'integer',
+        match_rate: 'number?',
+        high_confidence: 'integer?',
+        medium_confidence: 'integer?',
+        low_confidence: 'integer?',
+        ce_references: 'integer?',
+        sarit_references: 'integer?',
+        by_method: { type: 'map', values: 'integer', optional: true },
+        by_stage: { type: 'map', values: 'integer', optional: true },
+        duplicate_ids: 'integer?',
+        missing_verses: 'integer?',
+        chapters_with_gaps: 'integer?',
+        sharded: 'boolean?',
+    }
+};
+
+const CORPUS_ADHYAYA_SCHEMA = {
+    type: 'object',
+    fields: {
+        adhyaya_id: 'string',
+        adhyaya_name: 'string?',
+        shloka_count: 'integer',
+    }
+};
+
+const VIEWER_ADHYAYA_SCHEMA = {
+    type: 'object',
+    fields: {
+        adhyaya_id: 'string',
+        adhyaya_name: 'string?',
+        upaparva_id: 'string?',
+        upaparva_name: 'string?',
+        chapter: 'integer?',
+        shlokas: {
+            type: 'array',
+            idField: 'id',
+            items: {
+                type: 'object',
+                fields: {
+                    id: 'string',
+                    verse: 'integer?',
+                    source_text: 'string',
+                    match_status: 'string',
+                    similarity: 'number?',
+                    match_corpus: 'string?',
+                    matched_id: 'string?',
+                    matched_text: 'string?',
+                    diff: {
+                        type: 'object',
+                        optional: true,
+                        fields: { source_diff: 'array', target_diff: 'array' }
+                    },
+                }
+            }
+        },
+    }
+};
+
+// Statistics of one node in a chunked book index (fields of createStats())
+const NODE_STATS_SCHEMA = {
+    type: 'object',
+    fields: {
+        total: 'integer',
+        matched: 'integer',
+        unmatched: 'integer',
+        partial: 'integer?',
+        manyToOne: 'integer?',
+        oneToMany: 'integer?',
+        ce: 'integer?',
+        sarit: 'integer?',
+    }
+};
+
+// Consistency checks on one mapping record, beyond field types
+const MAPPING_RECORD_CHECKS = [
+    {
+        type: 'missing-hierarchy',
+        label: 'Missing hierarchy fields',
+        check: shloka => {
+            const missing = ['parva_id', 'upaparva_id', 'adhyaya_id'].filter(field => !shloka[field]);
+            return missing.length > 0 ? `no ${missing.join(', ')}` : null;
+        }
+    },
+    {
+        type: 'match-without-target',
+        label: 'Match without a target',
+        check: shloka => shloka.has_match && !shloka.matched_target_id ? 'has_match is true but matched_target_id is empty' : null
+    },
+    {
+        type: 'similarity-range',
+        label: 'Similarity outside 0–1',
+        check: shloka => typeof shloka.similarity === 'number' && (shloka.similarity < 0 || shloka.similarity > 1)
+            ? `similarity is ${shloka.similarity}`
+            : null
+    },
+    {
+        type: 'empty-relation',
+        label: 'Relationship flag without targets',
+        check: shloka => {
+            const problems = [];
+            if (shloka.many_to_one && !(shloka.sources_sharing_target || []).length) {
+                problems.push('many_to_one with no sources_sharing_target');
+            }
+            if (shloka.one_to_many && !(shloka.additional_target_ids || []).length) {
+                problems.push('one_to_many with no additional_target_ids');
+            }
+            return problems.length > 0 ? problems.join('; ') : null;
+        }
+    },
+];
+
+const DATA_SCHEMAS = {
+    mappings: {
+        label: 'Shloka mappings',
+        schema: { type: 'array', items: SHLOKA_SCHEMA, idField: 'id' },
+        recordChecks: MAPPING_RECORD_CHECKS
+    },
+    summary: {
+        label: 'All-books summary',
+        schema: { type: 'array', items: BOOK_SUMMARY_SCHEMA, idField: 'book_number' }
+    },
+    // book_NN_quality.json; the older book_NN_duplicates.json has no gap fields
+    quality: {
+        label: 'Quality report',
+        schema: {
+            type: 'object',
+            fields: {
+                book_number: 'integer',
+                total_duplicate_ids: 'integer',
+                total_duplicate_entries: 'integer?',
+                duplicates: {
+                    type: 'array',
+                    idField: 'id',
+                    items: { type: 'object', fields: { id: 'string', count: 'integer', texts_are_identical: 'boolean?', entries: 'array' } }
+                },
+                total_chapters_with_gaps: 'integer?',
+                total_missing_verses: 'integer?',
+                gaps: {
+                    type: 'array',
+                    idField: 'chapter',
+                    optional: true,
+                    items: { type: 'object', fields: { chapter: 'integer', range: 'string?', found_count: 'integer?', missing_count: 'integer', missing_numbers: 'array' } }
+                },
+            }
+        }
+    },
+    corpusStructure: {
+        label: 'Corpus structure',
+        schema: {
+            type: 'object',
+            fields: {
+                generated_at: 'string?',
+                summary: {
+                    type: 'object',
+                    fields: {
+                        corpora: {
+                            type: 'array',
+                            idField: 'name',
+                            items: {
+                                type: 'object',
+                                fields: {
+                                    name: 'string',
+                                    display_name: 'string',
+                                    total_books: 'integer',
+                                    total_upaparvas: 'integer?',
+                                    total_adhyayas: 'integer',
+                                    total_shlokas: 'integer',
+                                }
+                            }
+                        }
+                    }
+                },
+                books: {
+                    type: 'array',
+                    idField: 'book_number',
+                    items: {
+                        type: 'object',
+                        fields: {
+                            book_number: 'integer',
+                            parva_name: 'string?',
+                            corpora: {
+                                type: 'map',
+                                values: {
+                                    type: 'object',
+                                    fields: {
+                                        upaparva_count: 'integer?',
+                                        adhyaya_count: 'integer',
+                                        shloka_count: 'integer',
+                                        upaparvas: {
+                                            type: 'array',
+                                            idField: 'upaparva_id',
+                                            optional: true,
+                                            items: {
+                                                type: 'object',
+                                                fields: {
+                                                    upaparva_id: 'string',
+                                                    upaparva_name: 'string?',
+                                                    adhyaya_count: 'integer',
+                                                    shloka_count: 'integer',
+                                                    adhyayas: { type: 'array', items: CORPUS_ADHYAYA_SCHEMA, idField: 'adhyaya_id' },
+                                                }
+                                            }
+                                        },
+                                        adhyayas: { type: 'array', items: CORPUS_ADHYAYA_SCHEMA, idField: 'adhyaya_id', optional: true },
+                                    }
+                                }
+                            },
+                        }
+                    }
+                },
+            }
+        }
+    },
+    viewerSummary: {
+        label: 'Viewer book list',
+        schema: {
+            type: 'array',
+            idField: 'book_number',
+            items: {
+                type: 'object',
+                fields: {
+                    book_number: 'integer',
+                    parva_name: 'string?',
+                    total_shlokas: 'integer',
+                    exact_matches: 'integer?',
+                    partial_matches: 'integer?',
+                    no_matches: 'integer?',
+                    adhyaya_count: 'integer?',
+                    sharded: 'boolean?',
+                }
+            }
+        }
+    },
+    viewer: {
+        label: 'Viewer book data',
+        schema: {
+            type: 'object',
+            fields: {
+                book_number: 'integer',
+                parva_name: 'string?',
+                total_shlokas: 'integer?',
+                adhyayas: {
+                    type: 'array',
+                    idField: 'adhyaya_id',
+                    items: VIEWER_ADHYAYA_SCHEMA
+                },
+            }
+        }
+    },
+    // Chunked layout (shards.js): index of a book and the shards it names
+    bookIndex: {
+        label: 'Book index',
+        schema: {
+            type: 'object',
+            fields: {
+                format: 'string',
+                version: 'integer',
+                book_number: 'integer',
+                generated_at: 'string?',
+                stats: { type: 'object', fields: { total: 'integer', allMatched: 'integer', unmatched: 'integer' } },
+                facets: { type: 'map', values: { type: 'map', values: 'integer' }, optional: true },
+                degraded_count: 'integer?',
+                parvas: {
+                    type: 'array',
+                    idField: 'key',
+                    items: {
+                        type: 'object',
+                        fields: {
+                            key: 'string',
+                            name: 'string?',
+                            stats: NODE_STATS_SCHEMA,
+                            degraded: 'boolean?',
+                            upaparvas: {
+                                type: 'array',
+                                idField: 'key',
+                                items: {
+                                    type: 'object',
+                                    fields: {
+                                        key: 'string',
+                                        name: 'string?',
+                                        stats: NODE_STATS_SCHEMA,
+                                        degraded: 'boolean?',
+                                        adhyayas: {
+                                            type: 'array',
+                                            idField: 'key',
+                                            items: {
+                                                type: 'object',
+                                                fields: {
+                                                    key: 'string',
+                                                    name: 'string?',
+                                                    stats: NODE_STATS_SCHEMA,
+                                                    degraded: 'boolean?',
+                                                    chapters: 'array',
+                                                    shard: 'string',
+                                                }
+                                            }
+                                        },
+                                    }
+                                }
+                            },
+                        }
+                    }
+                },
+            }
+        }
+    },
+    viewerIndex: {
+        label: 'Viewer book index',
+        schema: {
+            type: 'object',
+            fields: {
+                format: 'string',
+                version: 'integer',
+                book_number: 'integer',
+                parva_name: 'string?',
+                total_shlokas: 'integer?',
+                adhyayas: {
+                    type: 'array',
+                    idField: 'adhyaya_id',
+                    items: {
+                        type: 'object',
+                        fields: {
+                            adhyaya_id: 'string',
+                            adhyaya_name: 'string?',
+                            upaparva_id: 'string?',
+                            upaparva_name: 'string?',
+                            chapter: 'integer?',
+                            shloka_count: 'integer',
+                            exact_count: 'integer?',
+                            partial_count: 'integer?',
+                            none_count: 'integer?',
+                            shard: 'string',
+                        }
+                    }
+                },
+            }
+        }
+    },
+    viewerAdhyaya: {
+        label: 'Viewer adhyaya',
+        schema: VIEWER_ADHYAYA_SCHEMA
+    },
+};
+
+const DIAGNOSTIC_TYPE_LABELS = {
+    schema: 'Schema violations',
+    ...Object.fromEntries(MAPPING_RECORD_CHECKS.map(check => [check.type, check.label]))
+};
+
+/**
+ * Check a value's type against a schema type name
+ */
+function matchesSchemaType(value, type) {
+    switch (type) {
+        case 'string': return typeof value === 'string';
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'boolean': return typeof value === 'boolean';
+        case 'array': return Array.isArray(value);
+        case 'object':
+        case 'map': return value !== null && typeof value === 'object' && !Array.isArray(value);
+        default: return true;
+    }
+}
+
+function describeValue(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+/**
+ * Validate a value against a schema node, collecting issues
+ * @param {*} value - Value to check
+ * @param {string|object} node - Schema node
+ * @param {object} context - { path, record, issues }
+ */
+function checkSchemaNode(value, node, context) {
+    if (context.issues.length >= MAX_DIAGNOSTIC_ISSUES) return;
+
+    const spec = typeof node === 'string'
+        ? { type: node.replace(/\?$/, ''), optional: node.endsWith('?') }
+        : node;
+    const report = (message) => context.issues.push({
+        type: 'schema',
+        record: context.record,
+        path: context.path || '(root)',
+        message
+    });
+
+    if (value === undefined || value === null) {
+        if (!spec.optional) report(value === undefined ? 'missing' : 'is null');
+        return;
+    }
+    if (!matchesSchemaType(value, spec.type)) {
+        report(`expected ${spec.type}, found ${describeValue(value)}`);
+        return;
+    }
+
+    const child = (key) => ({
+        ...context,
+        path: context.path && !key.startsWith('[') ? `${context.path}.${key}` : `${context.path}${key}`
+    });
+
+    if (spec.type === 'object' && spec.fields) {
+        Object.entries(spec.fields).forEach(([key, fieldNode]) => {
+            checkSchemaNode(value[key], fieldNode, child(key));
+        });
+    } else if (spec.type === 'map' && spec.values) {
+        Object.entries(value).forEach(([key, entry]) => {
+            checkSchemaNode(entry, spec.values, child(key));
+        });
+    } else if (spec.type === 'array' && spec.items) {
+        value.forEach((item, i) => {
+            // Items with an ID are reported by it, with paths relative to the item
+            const id = spec.idField && item ? item[spec.idField] : undefined;
+            const itemContext = id !== undefined && id !== null
+                ? { ...context, record: String(id), path: '' }
+                : child(`[${i}]`);
+            checkSchemaNode(item, spec.items, itemContext);
+        });
+    }
+}
+
+/**
+ * Validate a loaded data file against its declared schema
+ * @param {string} kind - Key of DATA_SCHEMAS
+ * @param {*} data - Parsed JSON
+ * @returns {object} { kind, label, fatal, issues: [{ type, record, path, message }], truncated }
+ */
+function validateDataFile(kind, data) {
+    const declared = DATA_SCHEMAS[kind];
+    if (!declared) throw new Error(`Unknown data file kind: ${kind}`);
+
+    const issues = [];
+    const rootType = declared.schema.type;
+
+    // A file of the wrong shape altogether cannot be used at all
+    if (!matchesSchemaType(data, rootType)) {
+        return {
+            kind,
+            label: declared.label,
+            fatal: true,
+            issues: [{ type: 'schema', record: null, path: '(root)', message: `expected ${rootType}, found ${describeValue(data)}` }],
+            truncated: false
+        };
+    }
+
+    checkSchemaNode(data, declared.schema, { path: '', record: null, issues });
+
+    if (declared.recordChecks) {
+        for (const record of data) {
+            if (issues.length >= MAX_DIAGNOSTIC_ISSUES) break;
+            if (!record || typeof record !== 'object') continue;
+            declared.recordChecks.forEach(({ type, check }) => {
+                const message = check(record);
+                if (message) issues.push({ type, record: record.id || record.source_id || null, path: '', message });
+            });
+        }
+    }
+
+    return {
+        kind,
+        label: declared.label,
+        fatal: false,
+        issues: issues.slice(0, MAX_DIAGNOSTIC_ISSUES),
+        truncated: issues.length >= MAX_DIAGNOSTIC_ISSUES
+    };
+}
+
+/**
+ * Diagnostics panel for one or more validation results (empty when all are clean)
+ * @param {Array} results - Outputs of validateDataFile()
+ * @param {object} options - { linkRecords: records are shloka IDs the page can open }
+ * @returns {string} HTML
+ */
+function renderDiagnosticsPanel(results, options = {}) {
+    const withIssues = results.filter(result => result.issues.length > 0);
+    if (withIssues.length === 0) return '';
+
+    const total = withIssues.reduce((sum, result) => sum + result.issues.length, 0);
+    const records = new Set(withIssues.flatMap(result => result.issues.map(issue => issue.record)));
+    const renderRecord = (record) => {
+        if (record === null) return '';
+        return options.linkRecords
+            ? `<button class="diagnostic-record" data-id="${escapeHtml(record)}">${escapeHtml(record)}</button>`
+            : `<code class="diagnostic-record">${escapeHtml(record)}</code>`;
+    };
+
+    return `
+        <details class="diagnostics-panel">
+            <summary>⚠️ ${total}${withIssues.some(r => r.truncated) ? '+' : ''} data issue${total === 1 ? '' : 's'} in ${records.size} record${records.size === 1 ? '' : 's'}</summary>
+            ${withIssues.map(result => {
+                const groups = new Map();
+                result.issues.forEach(issue => {
+                    if (!groups.has(issue.type)) groups.set(issue.type, []);
+                    groups.get(issue.type).push(issue);
+                });
+
+                return `
+                    <div class="diagnostics-file">
+                        <div class="diagnostics-file-title">${escapeHtml(result.label)}${result.truncated ? ` (first ${MAX_DIAGNOSTIC_ISSUES} issues)` : ''}</div>
+                        ${[...groups].map(([type, issues]) => `
+                            <div class="diagnostics-group">
+                                <div class="diagnostics-group-title">${escapeHtml(DIAGNOSTIC_TYPE_LABELS[type] || type)} (${issues.length})</div>
+                                <ul class="diagnostics-list">
+                                    ${issues.map(issue => `
+                                        <li>
+                                            ${renderRecord(issue.record)}
+                                            ${issue.path ? `<span class="diagnostic-path">${escapeHtml(issue.path)}</span>` : ''}
+                                            <span class="diagnostic-message">${escapeHtml(issue.message)}</span>
+                                        </li>
+                                    `).join('')}
+                                </ul>
+                            </div>
+                        `).join('')}
+                    </div>
+                `;
+            }).join('')}
+        </details>
+    `;
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DATA_SCHEMAS,
+        MAPPING_RECORD_CHECKS,
+        validateDataFile,
+        renderDiagnosticsPanel
+    };
+}
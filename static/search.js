@@ -0,0 +1,165 @@
+/**
+ * Mahabharata Dashboard - Full-Text Search
+ *
+ * Word-level index over the text fields of loaded mappings.
+ * Queries may be Devanagari, IAST or plain Roman; everything is compared
+ * through phoneticKey() with a bonus for exact Devanagari matches.
+ * Depends on normalize.js and transliterate.js.
+ */
+
+// Searchable fields, in display order, with ranking weight
+const SEARCH_FIELDS = [
+    { key: 'source', label: 'Source', weight: 5, get: s => s.source_text },
+    { key: 'target', label: 'Matched Target', weight: 3, get: s => s.matched_target_text },
+    { key: 'ce', label: 'CE Reference', weight: 2, get: s => s.metadata?.ce_reference?.text },
+    { key: 'sarit', label: 'SARIT Reference', weight: 2, get: s => s.metadata?.sarit_reference?.text },
+    { key: 'translation', label: 'Translation', weight: 2, get: s => s.english_translation },
+    { key: 'commentary', label: 'Commentary', weight: 1, get: s => s.nilakanta_commentary },
+];
+
+/**
+ * Strip dandas, verse numbers and punctuation from a word for comparison;
+ * Devanagari is further folded with the shared normalization rules
+ * @param {string} word - Raw word
+ * @returns {string} Cleaned word
+ */
+function cleanSearchWord(word) {
+    const clean = (word || '')
+        .replace(/[।॥|\d०-९.,;:!?"'()\[\]]/g, '')
+        .toLowerCase();
+    return containsDevanagari(clean) ? normalizeSanskrit(clean) : clean;
+}
+
+/**
+ * Build a search index for an array of shlokas
+ * @param {Array} shlokas - Shloka objects from the mappings file
+ * @returns {Array} Index entries: { shloka, fields: [{ field, words }] }
+ */
+function buildSearchIndex(shlokas) {
+    return shlokas.map(shloka => {
+        const fields = [];
+
+        for (const field of SEARCH_FIELDS) {
+            const text = field.get(shloka);
+            if (!text) continue;
+
+            const words = text.split(/\s+/).filter(w => w.length > 0).map(raw => {
+                const clean = cleanSearchWord(raw);
+                return { raw, clean, key: phoneticKey(clean) };
+            });
+
+            fields.push({ field, words });
+        }
+
+        return { shloka, fields };
+    });
+}
+
+/**
+ * Score one word against a query term
+ * @returns {number} 0 when the word does not match
+ */
+function scoreSearchWord(word, term) {
+    if (term.deva && word.clean === term.deva) return 4;
+    if (term.deva && word.clean.includes(term.deva)) return 3;
+    if (!word.key) return 0;
+    if (word.key === term.key) return 2.5;
+    if (word.key.startsWith(term.key)) return 1.5;
+    if (word.key.includes(term.key)) return 1;
+    return 0;
+}
+
+/**
+ * Search the index. All query terms must match somewhere in the shloka.
+ * @param {Array} index - Output of buildSearchIndex()
+ * @param {string} query - User query (Devanagari or Roman)
+ * @param {number} limit - Maximum number of results
+ * @returns {object} { results, truncated }: ranked results { shloka, score, hits: [{ field, positions }] },
+ *     truncated when more than `limit` shlokas matched
+ */
+function searchShlokas(index, query, limit = 100) {
+    const terms = (query || '')
+        .split(/\s+/)
+        .map(raw => {
+            const clean = cleanSearchWord(raw);
+            return {
+                deva: containsDevanagari(clean) ? clean : null,
+                key: phoneticKey(clean)
+            };
+        })
+        .filter(term => term.key.length >= 2);
+
+    if (terms.length === 0) return { results: [], truncated: false };
+
+    const results = [];
+
+    index.forEach((entry, order) => {
+        const matchedTerms = new Set();
+        const hits = [];
+        let score = 0;
+
+        for (const { field, words } of entry.fields) {
+            const positions = [];
+            let fieldScore = 0;
+
+            terms.forEach((term, termIdx) => {
+                let best = 0;
+                words.forEach((word, pos) => {
+                    const wordScore = scoreSearchWord(word, term);
+                    if (wordScore > 0) {
+                        positions.push(pos);
+                        best = Math.max(best, wordScore);
+                    }
+                });
+                if (best > 0) {
+                    matchedTerms.add(termIdx);
+                    fieldScore += best;
+                }
+            });
+
+            if (positions.length > 0) {
+                score += fieldScore * field.weight;
+                hits.push({ field, words, positions: [...new Set(positions)].sort((a, b) => a - b) });
+            }
+        }
+
+        if (matchedTerms.size === terms.length) {
+            results.push({ shloka: entry.shloka, score, hits, order });
+        }
+    });
+
+    results.sort((a, b) => b.score - a.score || a.order - b.order);
+    return { results: results.slice(0, limit), truncated: results.length > limit };
+}
+
+/**
+ * Render a snippet around the first hit of a field with matched words marked
+ * @param {object} hit - One entry of a search result's hits
+ * @param {number} context - Words of context on each side
+ * @returns {string} HTML snippet
+ */
+function renderSearchSnippet(hit, context = 6) {
+    const first = hit.positions[0];
+    const start = Math.max(0, first - context);
+    const end = Math.min(hit.words.length, first + context + 1);
+    const marked = new Set(hit.positions);
+
+    let html = hit.words.slice(start, end).map((word, i) => {
+        const text = escapeHtml(word.raw);
+        return marked.has(start + i) ? `<mark class="search-hit">${text}</mark>` : text;
+    }).join(' ');
+
+    if (start > 0) html = '… ' + html;
+    if (end < hit.words.length) html += ' …';
+    return html;
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SEARCH_FIELDS,
+        buildSearchIndex,
+        searchShlokas,
+        renderSearchSnippet
+    };
+}
@@ -0,0 +1,191 @@
+/**
+ * Mahabharata Dashboard - Chunked Book Data
+ *
+ * A book can be published as a small index holding the hierarchy and the
+ * statistics of every node, plus one shard file per adhyaya. Pages draw the
+ * tree or adhyaya list from the index and fetch a shard only when its
+ * adhyaya is opened.
+ *
+ *   data/book_NN/index.json                 book index (BOOK_INDEX_FORMAT)
+ *   data/book_NN/adhyaya_<key>.json         array of mapping records
+ *   viewer/data/book_NN/index.json          viewer index (VIEWER_INDEX_FORMAT)
+ *   viewer/data/book_NN/adhyaya_<key>.json  one viewer adhyaya with its shlokas
+ *
+ * Pages read the index only for books their summary marks `sharded`; the
+ * others are still read from the single files (book_NN_mappings.json,
+ * book_NN_viewer.json). tools/shard.js splits those files into this layout
+ * with the build functions below. Depends on paths.js.
+ */
+
+// Pages load paths.js first; in Node its helpers are required
+if (typeof module !== 'undefined' && module.exports) {
+    var { groupByHierarchy, computeBookStats, createStats, parseSrirangaHierarchy } = require('./paths.js');
+}
+
+const BOOK_INDEX_FORMAT = 'mahabharata-book-index';
+const VIEWER_INDEX_FORMAT = 'mahabharata-viewer-index';
+const SHARD_FORMAT_VERSION = 1;
+
+/**
+ * File name of an adhyaya shard, unique within its book
+ * @param {string} adhyayaKey - Adhyaya key, e.g. P10_U01_A001
+ * @param {Map} taken - Shard names already used in the book
+ * @returns {string} e.g. adhyaya_P10_U01_A001.json
+ */
+function getAdhyayaShardName(adhyayaKey, taken = new Map()) {
+    const base = `adhyaya_${String(adhyayaKey).replace(/[^A-Za-z0-9_-]/g, '_')}`;
+    let name = `${base}.json`;
+    for (let n = 2; taken.has(name); n++) {
+        name = `${base}_${n}.json`;
+    }
+    return name;
+}
+
+/**
+ * Split a book's mapping records into an index and per-adhyaya shards
+ * @param {Array} shlokas - Contents of book_NN_mappings.json
+ * @param {number} bookNumber - Book number
+ * @returns {object} { index, shards: Map of shard name → mapping records }
+ */
+function buildBookIndex(shlokas, bookNumber) {
+    const hierarchy = groupByHierarchy(shlokas);
+    const shards = new Map();
+    const countValues = (key) => {
+        const counts = {};
+        shlokas.forEach(s => {
+            if (s[key]) counts[s[key]] = (counts[s[key]] || 0) + 1;
+        });
+        return counts;
+    };
+    const node = (key, entry) => ({
+        key,
+        name: entry.name,
+        stats: entry.stats,
+        ...(entry.degraded ? { degraded: true } : {})
+    });
+
+    const parvas = Object.keys(hierarchy).sort().map(parvaKey => {
+        const parva = hierarchy[parvaKey];
+        return {
+            ...node(parvaKey, parva),
+            upaparvas: Object.keys(parva.upaparvas).sort().map(upaparvaKey => {
+                const upaparva = parva.upaparvas[upaparvaKey];
+                return {
+                    ...node(upaparvaKey, upaparva),
+                    adhyayas: Object.keys(upaparva.adhyayas).sort().map(adhyayaKey => {
+                        const adhyaya = upaparva.adhyayas[adhyayaKey];
+                        const shard = getAdhyayaShardName(adhyayaKey, shards);
+                        shards.set(shard, adhyaya.shlokas);
+                        return {
+                            ...node(adhyayaKey, adhyaya),
+                            // Lets a page find the shard of a shloka from the chapter in its ID
+                            chapters: [...new Set(adhyaya.shlokas.map(s => s.chapter).filter(Number.isInteger))].sort((a, b) => a - b),
+                            shard
+                        };
+                    })
+                };
+            })
+        };
+    });
+
+    return {
+        index: {
+            format: BOOK_INDEX_FORMAT,
+            version: SHARD_FORMAT_VERSION,
+            book_number: bookNumber,
+            generated_at: new Date().toISOString(),
+            stats: computeBookStats(shlokas),
+            facets: {
+                match_method: countValues('match_method'),
+                match_stage: countValues('match_stage')
+            },
+            degraded_count: shlokas.filter(s => parseSrirangaHierarchy(s).degraded).length,
+            parvas
+        },
+        shards
+    };
+}
+
+/**
+ * Hierarchy in the shape of groupByHierarchy(), built from a book index.
+ * Adhyayas start with no shlokas; `shard` names their file and `loaded`
+ * turns true once its records are added.
+ * @param {object} index - Contents of data/book_NN/index.json
+ * @returns {object} Hierarchical structure
+ */
+function hierarchyFromBookIndex(index) {
+    const hierarchy = {};
+    const node = (entry) => ({
+        name: entry.name || entry.key,
+        stats: { ...createStats(), ...entry.stats },
+        ...(entry.degraded ? { degraded: true } : {})
+    });
+
+    index.parvas.forEach(parva => {
+        const upaparvas = {};
+        parva.upaparvas.forEach(upaparva => {
+            const adhyayas = {};
+            upaparva.adhyayas.forEach(adhyaya => {
+                adhyayas[adhyaya.key] = {
+                    ...node(adhyaya),
+                    shlokas: [],
+                    chapters: adhyaya.chapters,
+                    shard: adhyaya.shard,
+                    loaded: false
+                };
+            });
+            upaparvas[upaparva.key] = { ...node(upaparva), adhyayas };
+        });
+        hierarchy[parva.key] = { ...node(parva), upaparvas };
+    });
+
+    return hierarchy;
+}
+
+/**
+ * Split a book's viewer file into an index and per-adhyaya shards
+ * @param {object} book - Contents of book_NN_viewer.json
+ * @returns {object} { index, shards: Map of shard name → viewer adhyaya }
+ */
+function buildViewerIndex(book) {
+    const shards = new Map();
+    const countStatus = (shlokas, status) => shlokas.filter(s => s.match_status === status).length;
+
+    const adhyayas = book.adhyayas.map(adhyaya => {
+        const { shlokas, ...fields } = adhyaya;
+        const shard = getAdhyayaShardName(adhyaya.adhyaya_id, shards);
+        shards.set(shard, adhyaya);
+        return {
+            ...fields,
+            shloka_count: shlokas.length,
+            exact_count: countStatus(shlokas, 'exact'),
+            partial_count: countStatus(shlokas, 'partial'),
+            none_count: countStatus(shlokas, 'none'),
+            shard
+        };
+    });
+
+    return {
+        index: {
+            format: VIEWER_INDEX_FORMAT,
+            version: SHARD_FORMAT_VERSION,
+            book_number: book.book_number,
+            parva_name: book.parva_name,
+            total_shlokas: book.total_shlokas,
+            adhyayas
+        },
+        shards
+    };
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        BOOK_INDEX_FORMAT,
+        VIEWER_INDEX_FORMAT,
+        getAdhyayaShardName,
+        buildBookIndex,
+        hierarchyFromBookIndex,
+        buildViewerIndex
+    };
+}
@@ -0,0 +1,302 @@
+/**
+ * Mahabharata Dashboard - Transliteration
+ *
+ * Converts Devanagari text to Roman schemes and applies the reader's chosen
+ * display script to rendered text.
+ * Tables are keyed by scheme so further schemes only need a table entry.
+ */
+
+const SCRIPT_STORAGE_KEY = 'mbh-script';
+
+const SCRIPT_SCHEMES = {
+    iast: {
+        name: 'IAST',
+        vowels: {
+            'अ': 'a', 'आ': 'ā', 'इ': 'i', 'ई': 'ī', 'उ': 'u', 'ऊ': 'ū',
+            'ऋ': 'ṛ', 'ॠ': 'ṝ', 'ऌ': 'ḷ', 'ॡ': 'ḹ',
+            'ए': 'e', 'ऐ': 'ai', 'ओ': 'o', 'औ': 'au'
+        },
+        // Dependent vowel signs (matras)
+        matras: {
+            'ा': 'ā', 'ि': 'i', 'ी': 'ī', 'ु': 'u', 'ू': 'ū',
+            'ृ': 'ṛ', 'ॄ': 'ṝ', 'ॢ': 'ḷ', 'ॣ': 'ḹ',
+            'े': 'e', 'ै': 'ai', 'ो': 'o', 'ौ': 'au'
+        },
+        consonants: {
+            'क': 'k', 'ख': 'kh', 'ग': 'g', 'घ': 'gh', 'ङ': 'ṅ',
+            'च': 'c', 'छ': 'ch', 'ज': 'j', 'झ': 'jh', 'ञ': 'ñ',
+            'ट': 'ṭ', 'ठ': 'ṭh', 'ड': 'ḍ', 'ढ': 'ḍh', 'ण': 'ṇ',
+            'त': 't', 'थ': 'th', 'द': 'd', 'ध': 'dh', 'न': 'n',
+            'प': 'p', 'फ': 'ph', 'ब': 'b', 'भ': 'bh', 'म': 'm',
+            'य': 'y', 'र': 'r', 'ल': 'l', 'व': 'v',
+            'श': 'ś', 'ष': 'ṣ', 'स': 's', 'ह': 'h', 'ळ': 'ḻ'
+        },
+        marks: {
+            'ं': 'ṃ', 'ः': 'ḥ', 'ँ': 'm̐', 'ऽ': "'", 'ॐ': 'oṃ',
+            '।': '|', '॥': '||'
+        }
+    },
+    hk: {
+        name: 'Harvard-Kyoto',
+        vowels: {
+            'अ': 'a', 'आ': 'A', 'इ': 'i', 'ई': 'I', 'उ': 'u', 'ऊ': 'U',
+            'ऋ': 'R', 'ॠ': 'RR', 'ऌ': 'lR', 'ॡ': 'lRR',
+            'ए': 'e', 'ऐ': 'ai', 'ओ': 'o', 'औ': 'au'
+        },
+        matras: {
+            'ा': 'A', 'ि': 'i', 'ी': 'I', 'ु': 'u', 'ू': 'U',
+            'ृ': 'R', 'ॄ': 'RR', 'ॢ': 'lR', 'ॣ': 'lRR',
+            'े': 'e', 'ै': 'ai', 'ो': 'o', 'ौ': 'au'
+        },
+        consonants: {
+            'क': 'k', 'ख': 'kh', 'ग': 'g', 'घ': 'gh', 'ङ': 'G',
+            'च': 'c', 'छ': 'ch', 'ज': 'j', 'झ': 'jh', 'ञ': 'J',
+            'ट': 'T', 'ठ': 'Th', 'ड': 'D', 'ढ': 'Dh', 'ण': 'N',
+            'त': 't', 'थ': 'th', 'द': 'd', 'ध': 'dh', 'न': 'n',
+            'प': 'p', 'फ': 'ph', 'ब': 'b', 'भ': 'bh', 'म': 'm',
+            'य': 'y', 'र': 'r', 'ल': 'l', 'व': 'v',
+            'श': 'z', 'ष': 'S', 'स': 's', 'ह': 'h', 'ळ': 'L'
+        },
+        marks: {
+            'ं': 'M', 'ः': 'H', 'ँ': '~', 'ऽ': "'", 'ॐ': 'OM',
+            '।': '|', '॥': '||'
+        }
+    },
+    itrans: {
+        name: 'ITRANS',
+        vowels: {
+            'अ': 'a', 'आ': 'aa', 'इ': 'i', 'ई': 'ii', 'उ': 'u', 'ऊ': 'uu',
+            'ऋ': 'RRi', 'ॠ': 'RRI', 'ऌ': 'LLi', 'ॡ': 'LLI',
+            'ए': 'e', 'ऐ': 'ai', 'ओ': 'o', 'औ': 'au'
+        },
+        matras: {
+            'ा': 'aa', 'ि': 'i', 'ी': 'ii', 'ु': 'u', 'ू': 'uu',
+            'ृ': 'RRi', 'ॄ': 'RRI', 'ॢ': 'LLi', 'ॣ': 'LLI',
+            'े': 'e', 'ै': 'ai', 'ो': 'o', 'ौ': 'au'
+        },
+        consonants: {
+            'क': 'k', 'ख': 'kh', 'ग': 'g', 'घ': 'gh', 'ङ': '~N',
+            'च': 'ch', 'छ': 'Ch', 'ज': 'j', 'झ': 'jh', 'ञ': '~n',
+            'ट': 'T', 'ठ': 'Th', 'ड': 'D', 'ढ': 'Dh', 'ण': 'N',
+            'त': 't', 'थ': 'th', 'द': 'd', 'ध': 'dh', 'न': 'n',
+            'प': 'p', 'फ': 'ph', 'ब': 'b', 'भ': 'bh', 'म': 'm',
+            'य': 'y', 'र': 'r', 'ल': 'l', 'व': 'v',
+            'श': 'sh', 'ष': 'Sh', 'स': 's', 'ह': 'h', 'ळ': 'L'
+        },
+        marks: {
+            'ं': 'M', 'ः': 'H', 'ँ': '.N', 'ऽ': '.a', 'ॐ': 'OM',
+            '।': '|', '॥': '||'
+        }
+    },
+    slp1: {
+        name: 'SLP1',
+        vowels: {
+            'अ': 'a', 'आ': 'A', 'इ': 'i', 'ई': 'I', 'उ': 'u', 'ऊ': 'U',
+            'ऋ': 'f', 'ॠ': 'F', 'ऌ': 'x', 'ॡ': 'X',
+            'ए': 'e', 'ऐ': 'E', 'ओ': 'o', 'औ': 'O'
+        },
+        matras: {
+            'ा': 'A', 'ि': 'i', 'ी': 'I', 'ु': 'u', 'ू': 'U',
+            'ृ': 'f', 'ॄ': 'F', 'ॢ': 'x', 'ॣ': 'X',
+            'े': 'e', 'ै': 'E', 'ो': 'o', 'ौ': 'O'
+        },
+        consonants: {
+            'क': 'k', 'ख': 'K', 'ग': 'g', 'घ': 'G', 'ङ': 'N',
+            'च': 'c', 'छ': 'C', 'ज': 'j', 'झ': 'J', 'ञ': 'Y',
+            'ट': 'w', 'ठ': 'W', 'ड': 'q', 'ढ': 'Q', 'ण': 'R',
+            'त': 't', 'थ': 'T', 'द': 'd', 'ध': 'D', 'न': 'n',
+            'प': 'p', 'फ': 'P', 'ब': 'b', 'भ': 'B', 'म': 'm',
+            'य': 'y', 'र': 'r', 'ल': 'l', 'व': 'v',
+            'श': 'S', 'ष': 'z', 'स': 's', 'ह': 'h', 'ळ': 'L'
+        },
+        marks: {
+            'ं': 'M', 'ः': 'H', 'ँ': '~', 'ऽ': "'", 'ॐ': 'oM',
+            '।': '.', '॥': '..'
+        }
+    }
+};
+
+// Scripts offered by the display switch; 'devanagari' leaves text as stored
+const DISPLAY_SCRIPTS = ['devanagari', ...Object.keys(SCRIPT_SCHEMES)];
+
+const DEVANAGARI_VIRAMA = '्';
+const DEVANAGARI_NUKTA = '़';
+const DEVANAGARI_DIGITS = '०१२३४५६७८९';
+
+/**
+ * Check whether text contains any Devanagari characters
+ * @param {string} text - Text to test
+ * @returns {boolean} True if at least one Devanagari character is present
+ */
+function containsDevanagari(text) {
+    return /[\u0900-\u097F]/.test(text || '');
+}
+
+/**
+ * Transliterate Devanagari text into a Roman scheme.
+ * Non-Devanagari characters (spaces, Latin, punctuation) pass through unchanged.
+ * @param {string} text - Devanagari text
+ * @param {string} scheme - Target scheme key in SCRIPT_SCHEMES
+ * @returns {string} Transliterated text
+ */
+function fromDevanagari(text, scheme = 'iast') {
+    if (!text) return '';
+    const table = SCRIPT_SCHEMES[scheme];
+    if (!table) return text;
+
+    let out = '';
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+
+        if (table.consonants[ch]) {
+            out += table.consonants[ch];
+
+            // Look past a nukta for the vowel sign or virama
+            let next = i + 1;
+            if (text[next] === DEVANAGARI_NUKTA) next++;
+
+            if (text[next] === DEVANAGARI_VIRAMA) {
+                i = next;
+            } else if (table.matras[text[next]]) {
+                out += table.matras[text[next]];
+                i = next;
+            } else {
+                out += table.vowels['अ'];  // Inherent vowel
+                i = next - 1;
+            }
+        } else if (table.vowels[ch]) {
+            out += table.vowels[ch];
+        } else if (table.marks[ch]) {
+            out += table.marks[ch];
+        } else if (DEVANAGARI_DIGITS.includes(ch)) {
+            out += String(DEVANAGARI_DIGITS.indexOf(ch));
+        } else if (ch === DEVANAGARI_NUKTA || ch === DEVANAGARI_VIRAMA) {
+            // Stray signs without a preceding consonant
+            continue;
+        } else {
+            out += ch;
+        }
+    }
+
+    return out;
+}
+
+/**
+ * The reader's chosen display script (persisted across pages)
+ * @returns {string} 'devanagari' or a key of SCRIPT_SCHEMES
+ */
+function getDisplayScript() {
+    try {
+        const stored = localStorage.getItem(SCRIPT_STORAGE_KEY);
+        if (DISPLAY_SCRIPTS.includes(stored)) return stored;
+    } catch (e) {
+        // Storage unavailable - fall through to the default
+    }
+    return 'devanagari';
+}
+
+/**
+ * Change the display script and notify open views
+ * @param {string} script - 'devanagari' or a key of SCRIPT_SCHEMES
+ */
+function setDisplayScript(script) {
+    if (!DISPLAY_SCRIPTS.includes(script)) return;
+    localStorage.setItem(SCRIPT_STORAGE_KEY, script);
+    window.dispatchEvent(new CustomEvent('mbh-script-change', { detail: script }));
+}
+
+// Pick up a script chosen on another page in the same browser
+if (typeof window !== 'undefined') {
+    window.addEventListener('storage', (e) => {
+        if (e.key !== SCRIPT_STORAGE_KEY) return;
+        window.dispatchEvent(new CustomEvent('mbh-script-change', { detail: getDisplayScript() }));
+    });
+}
+
+/**
+ * Transliterate the text nodes of rendered elements in place, so markup
+ * inside them (diff highlights, search marks) is kept
+ * @param {Element} root - Container to search
+ * @param {string} selector - Elements whose text should be converted
+ * @param {string} script - Display script; defaults to the stored choice
+ */
+function transliterateElements(root, selector, script = getDisplayScript()) {
+    if (!root || !SCRIPT_SCHEMES[script]) return;
+
+    root.querySelectorAll(selector).forEach(element => {
+        const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+        const nodes = [];
+        while (walker.nextNode()) nodes.push(walker.currentNode);
+
+        nodes.forEach(node => {
+            if (containsDevanagari(node.nodeValue)) {
+                node.nodeValue = fromDevanagari(node.nodeValue, script);
+            }
+        });
+    });
+}
+
+/**
+ * Render the display script selector
+ * @returns {string} HTML select element
+ */
+function renderScriptSelect() {
+    const current = getDisplayScript();
+    return `
+        <select class="script-select" data-script-select title="Display script">
+            ${DISPLAY_SCRIPTS.map(script => `
+                <option value="${script}" ${script === current ? 'selected' : ''}>
+                    ${script === 'devanagari' ? 'देवनागरी' : SCRIPT_SCHEMES[script].name}
+                </option>
+            `).join('')}
+        </select>
+    `;
+}
+
+/**
+ * Wire up a rendered script selector
+ * @param {Element} container - Element containing renderScriptSelect() output
+ */
+function bindScriptSelect(container) {
+    const select = container.querySelector('[data-script-select]');
+    if (!select) return;
+
+    select.addEventListener('change', () => setDisplayScript(select.value));
+    window.addEventListener('mbh-script-change', (e) => { select.value = e.detail; });
+}
+
+/**
+ * Reduce Roman or Devanagari text to a loose phonetic key for matching
+ * input typed without diacritics (e.g. "krishna" and "kṛṣṇa" both give "krsna").
+ * @param {string} text - Devanagari, IAST or plain ASCII text
+ * @returns {string} Lowercase ASCII key
+ */
+function phoneticKey(text) {
+    if (!text) return '';
+
+    const roman = containsDevanagari(text) ? fromDevanagari(text, 'iast') : text;
+
+    return roman
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')   // Strip diacritics (ā → a, ṣ → s, ṛ → r)
+        .replace(/sh/g, 's')
+        .replace(/ri/g, 'r')
+        .replace(/aa/g, 'a')
+        .replace(/ee|ii/g, 'i')
+        .replace(/oo|uu/g, 'u')
+        .replace(/w/g, 'v')
+        .replace(/[^a-z]/g, '');
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SCRIPT_SCHEMES,
+        DISPLAY_SCRIPTS,
+        containsDevanagari,
+        fromDevanagari,
+        phoneticKey
+    };
+}
@@ -0,0 +1,84 @@
+/**
+ * Mahabharata Dashboard - Command-Line Helpers
+ *
+ * Argument parsing and data-file access shared by the scripts in tools/.
+ * Paths are relative to the site root, as in DATA_PATHS.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Book numbers the pipeline produces
+const FIRST_BOOK = 1;
+const LAST_BOOK = 19;
+
+/**
+ * Parse --name=value / --name value / --flag arguments
+ * @param {Array} argv - Arguments after the script name
+ * @param {object} spec - { flags: names taking no value, options: names taking one }
+ * @returns {object} Options keyed by name (flags are true)
+ * @throws {Error} On an unknown argument or a missing value
+ */
+function parseArgs(argv, { flags = [], options: valued = [] }) {
+    const flagSet = new Set(flags);
+    const known = new Set([...flags, ...valued]);
+    const options = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const match = argv[i].match(/^--([a-z-]+)(?:=(.*))?$/);
+        if (!match || !known.has(match[1])) {
+            throw new Error(`Unknown argument: ${argv[i]}`);
+        }
+
+        const [, name, inline] = match;
+        if (flagSet.has(name)) {
+            options[name] = true;
+        } else if (inline !== undefined) {
+            options[name] = inline;
+        } else if (i + 1 < argv.length) {
+            options[name] = argv[++i];
+        } else {
+            throw new Error(`Missing value for --${name}`);
+        }
+    }
+
+    return options;
+}
+
+function readJson(root, relativePath) {
+    return JSON.parse(fs.readFileSync(path.join(root, relativePath), 'utf8'));
+}
+
+function exists(root, relativePath) {
+    return fs.existsSync(path.join(root, relativePath));
+}
+
+/**
+ * Books to work on: those named by --book, else every book with data
+ * @param {string} [option] - Value of --book, e.g. "10,11"
+ * @param {function} hasData - Book number → whether the book has data under the root
+ * @returns {Array} Book numbers
+ * @throws {Error} When --book names something that is not a book
+ */
+function listBooks(option, hasData) {
+    if (option) {
+        return option.split(',').map(value => {
+            const n = parseInt(value, 10);
+            if (!(n >= FIRST_BOOK && n <= LAST_BOOK)) throw new Error(`Not a book number: ${value}`);
+            return n;
+        });
+    }
+
+    const books = [];
+    for (let n = FIRST_BOOK; n <= LAST_BOOK; n++) {
+        if (hasData(n)) books.push(n);
+    }
+    return books;
+}
+
+module.exports = {
+    parseArgs,
+    readJson,
+    exists,
+    listBooks
+};
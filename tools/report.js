@@ -0,0 +1,463 @@
+#!/usr/bin/env node
+/**
+ * Mahabharata Dashboard - Headless Statistics and Quality Report
+ *
+ * Reads the data/ directory the dashboard is served from and prints the
+ * statistics of every book and adhyaya, computed with the same functions
+ * the dashboard uses (groupByHierarchy, computeBookStats). Thresholds turn
+ * regressions into a non-zero exit code, and --report writes a
+ * self-contained Markdown or HTML report.
+ *
+ *   node tools/report.js [options]
+ *
+ * Exit codes: 0 all checks pass, 1 a threshold is not met, 2 bad usage or unreadable data.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const {
+    DATA_PATHS,
+    getBookMappingPath,
+    formatPercent,
+    groupByHierarchy,
+    computeBookStats
+} = require('../static/paths.js');
+const { validateDataFile } = require('../static/schema.js');
+const { RUN_CHANGE_KINDS, RUN_DIFF_THRESHOLD, compareRuns } = require('../static/rundiff.js');
+const { parseArgs: parseCliArgs, readJson, exists, listBooks } = require('./cli.js');
+
+const USAGE = `Usage: node tools/report.js [options]
+
+  --root=DIR                    Site root holding data/ (default: the repository)
+  --book=N[,N...]               Books to check (default: every book with mappings)
+  --books-only                  Print book totals without the per-adhyaya tables
+  --report=FILE                 Write a report; .html/.htm for HTML, anything else Markdown
+  --baseline=DIR                Compare against an earlier run (e.g. ${DATA_PATHS.mappings.baselineDir})
+
+Thresholds (percentages are of the book's shlokas):
+  --min-match-rate=PCT          Shlokas with any match
+  --min-high-confidence=PCT     Matches with similarity >= 90%
+  --max-unmatched=PCT           Shlokas without a match
+  --min-adhyaya-match-rate=PCT  Shlokas with any match, in every adhyaya
+  --max-issues=N                Records failing schema validation
+  --max-lost=N                  Matches lost since the baseline run
+  --max-rate-drop=PCT           Drop of the match rate since the baseline run, in points
+  --help                        Show this message
+`;
+
+// Each threshold option: what it measures and when a book fails it
+const THRESHOLDS = {
+    'min-match-rate': {
+        label: 'Match rate',
+        check: (book, limit) => failBelow(rate(book.stats.allMatched, book.stats.total), limit, '%')
+    },
+    'min-high-confidence': {
+        label: 'High-confidence rate',
+        check: (book, limit) => failBelow(rate(book.stats.highConfidence, book.stats.total), limit, '%')
+    },
+    'max-unmatched': {
+        label: 'Unmatched rate',
+        check: (book, limit) => failAbove(rate(book.stats.unmatched, book.stats.total), limit, '%')
+    },
+    'min-adhyaya-match-rate': {
+        label: 'Adhyaya match rate',
+        check: (book, limit) => book.adhyayas
+            .filter(adhyaya => rate(adhyaya.stats.matched, adhyaya.stats.total) < limit)
+            .map(adhyaya => `${adhyaya.key} (${adhyaya.name}): ${formatPercent(adhyaya.stats.matched, adhyaya.stats.total)} < ${limit}%`)
+    },
+    'max-issues': {
+        label: 'Schema issues',
+        check: (book, limit) => failAbove(book.issues, limit, '')
+    },
+    'max-lost': {
+        label: 'Matches lost since the baseline',
+        check: (book, limit) => (book.baseline ? failAbove(book.baseline.counts.lost, limit, '') : [])
+    },
+    'max-rate-drop': {
+        label: 'Match rate drop since the baseline',
+        check: (book, limit) => (book.baseline ? failAbove(book.baseline.rateDrop, limit, ' points') : [])
+    },
+};
+
+function rate(part, total) {
+    return total > 0 ? (part / total) * 100 : 0;
+}
+
+function failBelow(value, limit, unit) {
+    return value < limit ? [`${value.toFixed(1)}${unit} < ${limit}${unit}`] : [];
+}
+
+function failAbove(value, limit, unit) {
+    return value > limit ? [`${Number.isInteger(value) ? value : value.toFixed(1)}${unit} > ${limit}${unit}`] : [];
+}
+
+// ==========================================================================
+// Arguments
+// ==========================================================================
+
+/**
+ * Parse the arguments; threshold values become numbers
+ * @returns {object} Options keyed by name (flags are true)
+ */
+function parseArgs(argv) {
+    const options = parseCliArgs(argv, {
+        flags: ['books-only', 'help'],
+        options: ['root', 'book', 'report', 'baseline', ...Object.keys(THRESHOLDS)]
+    });
+
+    Object.keys(THRESHOLDS).forEach(name => {
+        if (options[name] === undefined) return;
+        const value = parseFloat(options[name]);
+        if (!Number.isFinite(value)) throw new Error(`--${name} needs a number, got "${options[name]}"`);
+        options[name] = value;
+    });
+
+    return options;
+}
+
+// ==========================================================================
+// Data
+// ==========================================================================
+
+/**
+ * Whether all_books_summary.json marks a book `sharded`; like the dashboard
+ * (DataStore.isBookSharded), an unreadable summary means it is not
+ */
+function isBookSharded(root, bookNumber) {
+    try {
+        const books = readJson(root, DATA_PATHS.mappings.allBooks);
+        return Array.isArray(books) && books.some(book => book && book.book_number === bookNumber && book.sharded === true);
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Mapping records of a book as the dashboard reads them: from its chunked
+ * index and shards when the summary marks it `sharded` and the index is
+ * there, else from the single mappings file
+ * @returns {object|null} { records, issues, source } or null when the book has no data
+ */
+function loadBookRecords(root, bookNumber) {
+    const countIssues = (kind, data) => validateDataFile(kind, data).issues.length;
+
+    const indexPath = DATA_PATHS.mappings.bookIndex(bookNumber);
+    if (isBookSharded(root, bookNumber) && exists(root, indexPath)) {
+        const index = readJson(root, indexPath);
+        let issues = countIssues('bookIndex', index);
+        const records = [];
+        index.parvas.forEach(parva => parva.upaparvas.forEach(upaparva => upaparva.adhyayas.forEach(adhyaya => {
+            const shard = readJson(root, DATA_PATHS.mappings.shard(bookNumber, adhyaya.shard));
+            issues += countIssues('mappings', shard);
+            records.push(...shard);
+        })));
+        return { records, issues, source: indexPath };
+    }
+
+    const filePath = getBookMappingPath(bookNumber);
+    if (exists(root, filePath)) {
+        const records = readJson(root, filePath);
+        return { records, issues: countIssues('mappings', records), source: filePath };
+    }
+
+    return null;
+}
+
+/**
+ * Statistics of one book: totals as computeBookStats() gives them to the
+ * dashboard header, and per-adhyaya counters from groupByHierarchy() as the tree shows them
+ */
+function summarizeBook(bookNumber, { records, issues, source }) {
+    const shlokas = records.filter(shloka => shloka && typeof shloka === 'object');
+    const hierarchy = groupByHierarchy(shlokas);
+    const adhyayas = [];
+
+    Object.keys(hierarchy).sort().forEach(parvaKey => {
+        const parva = hierarchy[parvaKey];
+        Object.keys(parva.upaparvas).sort().forEach(upaparvaKey => {
+            const upaparva = parva.upaparvas[upaparvaKey];
+            Object.keys(upaparva.adhyayas).sort().forEach(adhyayaKey => {
+                const adhyaya = upaparva.adhyayas[adhyayaKey];
+                adhyayas.push({ key: adhyayaKey, name: adhyaya.name, stats: adhyaya.stats, degraded: !!adhyaya.degraded });
+            });
+        });
+    });
+
+    const parvaNames = Object.values(hierarchy).map(parva => parva.name);
+    return {
+        number: bookNumber,
+        name: parvaNames.length === 1 ? parvaNames[0] : '',
+        source,
+        shlokas,
+        stats: computeBookStats(shlokas),
+        issues,
+        adhyayas
+    };
+}
+
+/**
+ * Changes since the baseline run of a book, or null when it has no baseline file
+ */
+function compareBaseline(root, dir, book) {
+    const baselinePath = DATA_PATHS.mappings.baseline(dir, book.number);
+    if (!exists(root, baselinePath)) return null;
+
+    const baseline = readJson(root, baselinePath).filter(shloka => shloka && typeof shloka === 'object');
+    const { counts, removed } = compareRuns(book.shlokas, baseline, { threshold: RUN_DIFF_THRESHOLD });
+    const baselineStats = computeBookStats(baseline);
+
+    return {
+        source: baselinePath,
+        counts,
+        removed: removed.length,
+        rateDrop: rate(baselineStats.allMatched, baselineStats.total) - rate(book.stats.allMatched, book.stats.total)
+    };
+}
+
+/**
+ * Threshold failures of a book
+ * @returns {Array} [{ book, threshold, label, message }]
+ */
+function checkThresholds(book, options) {
+    return Object.entries(THRESHOLDS)
+        .filter(([name]) => options[name] !== undefined)
+        .flatMap(([name, { label, check }]) => check(book, options[name]).map(message => ({
+            book: book.number, threshold: name, label, message
+        })));
+}
+
+// ==========================================================================
+// Output
+// ==========================================================================
+
+// Columns of the book and adhyaya tables: [header, value of a stats object]
+const BOOK_COLUMNS = [
+    ['Shlokas', s => s.total],
+    ['Matched', s => s.allMatched],
+    ['High ≥90%', s => s.highConfidence],
+    ['Partial', s => s.partial],
+    ['Unmatched', s => s.unmatched],
+    ['MN Dutt', s => s.mndutt],
+    ['CE', s => s.ce],
+    ['SARIT', s => s.sarit],
+    ['Many→One', s => s.manyToOne],
+    ['One→Many', s => s.oneToMany],
+    ['Match rate', s => formatPercent(s.allMatched, s.total)],
+];
+
+const ADHYAYA_COLUMNS = [
+    ['Shlokas', s => s.total],
+    ['Matched', s => s.matched],
+    ['High ≥90%', s => s.matched - s.partial],
+    ['Partial', s => s.partial],
+    ['Unmatched', s => s.unmatched],
+    ['CE', s => s.ce],
+    ['SARIT', s => s.sarit],
+    ['Match rate', s => formatPercent(s.matched, s.total)],
+];
+
+function formatBaseline(baseline) {
+    if (!baseline) return 'no baseline run';
+    const { counts } = baseline;
+    const kinds = Object.entries(RUN_CHANGE_KINDS)
+        .filter(([kind]) => counts[kind] > 0)
+        .map(([kind, { label }]) => `${label.toLowerCase()}: ${counts[kind]}`);
+    return `${counts.changed} changed${kinds.length ? ` (${kinds.join(', ')})` : ''}, ${baseline.removed} removed, `
+        + `match rate ${baseline.rateDrop > 0 ? '−' : '+'}${Math.abs(baseline.rateDrop).toFixed(1)} points`;
+}
+
+/**
+ * Plain-text table with right-aligned numbers
+ */
+function formatTextTable(headers, rows) {
+    const widths = headers.map((header, i) => Math.max(header.length, ...rows.map(row => String(row[i]).length)));
+    const line = (cells) => cells.map((cell, i) => (i === 0 ? String(cell).padEnd(widths[i]) : String(cell).padStart(widths[i]))).join('  ');
+    return [line(headers), ...rows.map(line)].join('\n');
+}
+
+function printConsole(books, failures, options) {
+    books.forEach(book => {
+        console.log(`\nBook ${book.number}${book.name ? ` · ${book.name}` : ''} (${book.source})`);
+        console.log(formatTextTable(BOOK_COLUMNS.map(([header]) => header), [BOOK_COLUMNS.map(([, value]) => value(book.stats))]));
+        if (book.issues > 0) console.log(`Schema issues: ${book.issues}`);
+        if (options.baseline) console.log(`Since ${book.baseline ? book.baseline.source : 'baseline'}: ${formatBaseline(book.baseline)}`);
+
+        if (!options['books-only']) {
+            console.log('');
+            console.log(formatTextTable(
+                ['Adhyaya', ...ADHYAYA_COLUMNS.map(([header]) => header), 'Name'],
+                book.adhyayas.map(adhyaya => [
+                    adhyaya.key,
+                    ...ADHYAYA_COLUMNS.map(([, value]) => value(adhyaya.stats)),
+                    `${adhyaya.name}${adhyaya.degraded ? ' ⚠' : ''}`
+                ])
+            ));
+        }
+    });
+
+    console.log('');
+    if (failures.length === 0) {
+        console.log(`All checks passed for ${books.length} book${books.length === 1 ? '' : 's'}.`);
+    } else {
+        console.log(`${failures.length} threshold failures:`);
+        failures.forEach(failure => console.log(`  Book ${failure.book}: ${failure.label} ${failure.message} (--${failure.threshold})`));
+    }
+}
+
+function renderMarkdown(books, failures, options) {
+    const table = (headers, rows) => [
+        `| ${headers.join(' | ')} |`,
+        `|${headers.map((_, i) => (i === 0 ? ' --- ' : ' ---: ')).join('|')}|`,
+        ...rows.map(row => `| ${row.join(' | ')} |`)
+    ].join('\n');
+
+    const lines = [
+        '# Mahabharata Mapping Report',
+        '',
+        `Generated ${new Date().toISOString()} for ${books.length} book${books.length === 1 ? '' : 's'}.`,
+        '',
+        '## Checks',
+        '',
+        failures.length === 0
+            ? 'All checks passed.'
+            : failures.map(failure => `- **Book ${failure.book}** — ${failure.label}: ${failure.message} (\`--${failure.threshold}\`)`).join('\n'),
+        '',
+        '## Books',
+        '',
+        table(['Book', ...BOOK_COLUMNS.map(([header]) => header)],
+            books.map(book => [`${book.number}${book.name ? ` ${book.name}` : ''}`, ...BOOK_COLUMNS.map(([, value]) => value(book.stats))]))
+    ];
+
+    books.forEach(book => {
+        lines.push('', `## Book ${book.number}${book.name ? ` · ${book.name}` : ''}`, '', `Source: \`${book.source}\` · Schema issues: ${book.issues}`);
+        if (options.baseline) lines.push('', `Since the baseline run: ${formatBaseline(book.baseline)}`);
+        if (!options['books-only']) {
+            lines.push('', table(['Adhyaya', 'Name', ...ADHYAYA_COLUMNS.map(([header]) => header)],
+                book.adhyayas.map(adhyaya => [adhyaya.key, `${adhyaya.name}${adhyaya.degraded ? ' ⚠' : ''}`, ...ADHYAYA_COLUMNS.map(([, value]) => value(adhyaya.stats))])));
+        }
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+function renderHtml(books, failures, options) {
+    const escape = (text) => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    const table = (headers, rows) => `
+        <table>
+            <thead><tr>${headers.map(header => `<th>${escape(header)}</th>`).join('')}</tr></thead>
+            <tbody>${rows.map(row => `<tr>${row.map(cell => `<td>${escape(cell)}</td>`).join('')}</tr>`).join('')}</tbody>
+        </table>`;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>Mahabharata Mapping Report</title>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 30px; color: #2d3436; }
+        h1 { color: #667eea; }
+        table { border-collapse: collapse; margin: 10px 0 20px; font-size: 0.85rem; }
+        th, td { padding: 4px 10px; border-bottom: 1px solid #e9ecef; text-align: right; }
+        th:first-child, td:first-child, td:nth-child(2) { text-align: left; }
+        th { background: #f8f9fa; }
+        .passed { color: #28a745; }
+        .failures li { color: #dc3545; }
+        .meta { color: #636e72; font-size: 0.85rem; }
+    </style>
+</head>
+<body>
+    <h1>Mahabharata Mapping Report</h1>
+    <p class="meta">Generated ${escape(new Date().toISOString())} for ${books.length} book${books.length === 1 ? '' : 's'}.</p>
+    <h2>Checks</h2>
+    ${failures.length === 0
+        ? '<p class="passed">All checks passed.</p>'
+        : `<ul class="failures">${failures.map(failure => `<li><strong>Book ${failure.book}</strong> — ${escape(failure.label)}: ${escape(failure.message)} (--${failure.threshold})</li>`).join('')}</ul>`}
+    <h2>Books</h2>
+    ${table(['Book', ...BOOK_COLUMNS.map(([header]) => header)],
+        books.map(book => [`${book.number}${book.name ? ` ${book.name}` : ''}`, ...BOOK_COLUMNS.map(([, value]) => value(book.stats))]))}
+    ${books.map(book => `
+    <h2>Book ${book.number}${book.name ? ` · ${escape(book.name)}` : ''}</h2>
+    <p class="meta">Source: ${escape(book.source)} · Schema issues: ${book.issues}${options.baseline ? ` · Since the baseline run: ${escape(formatBaseline(book.baseline))}` : ''}</p>
+    ${options['books-only'] ? '' : `
+    <details>
+        <summary>${book.adhyayas.length} adhyayas</summary>
+        ${table(['Adhyaya', 'Name', ...ADHYAYA_COLUMNS.map(([header]) => header)],
+            book.adhyayas.map(adhyaya => [adhyaya.key, `${adhyaya.name}${adhyaya.degraded ? ' ⚠' : ''}`, ...ADHYAYA_COLUMNS.map(([, value]) => value(adhyaya.stats))]))}
+    </details>`}`).join('')}
+</body>
+</html>
+`;
+}
+
+// ==========================================================================
+// Main
+// ==========================================================================
+
+function main(argv) {
+    let options;
+    try {
+        options = parseArgs(argv);
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+    if (options.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    if ((options['max-lost'] !== undefined || options['max-rate-drop'] !== undefined) && !options.baseline) {
+        console.error('--max-lost and --max-rate-drop need --baseline');
+        return 2;
+    }
+
+    const root = path.resolve(options.root || path.join(__dirname, '..'));
+    const books = [];
+    try {
+        // Books to check: the requested ones, else every book with mapping data
+        const hasData = n => exists(root, getBookMappingPath(n))
+            || (isBookSharded(root, n) && exists(root, DATA_PATHS.mappings.bookIndex(n)));
+        for (const n of listBooks(options.book, hasData)) {
+            const data = loadBookRecords(root, n);
+            if (!data) {
+                console.error(`Book ${n}: no mappings under ${root}`);
+                return 2;
+            }
+            const book = summarizeBook(n, data);
+            if (options.baseline) book.baseline = compareBaseline(root, options.baseline, book);
+            books.push(book);
+        }
+    } catch (error) {
+        console.error(`Could not read the data: ${error.message}`);
+        return 2;
+    }
+    if (books.length === 0) {
+        console.error(`No book mappings found under ${path.join(root, 'data')}`);
+        return 2;
+    }
+
+    const failures = books.flatMap(book => checkThresholds(book, options));
+    printConsole(books, failures, options);
+
+    if (options.report) {
+        const html = /\.html?$/i.test(options.report);
+        fs.writeFileSync(options.report, html ? renderHtml(books, failures, options) : renderMarkdown(books, failures, options));
+        console.log(`Report written to ${options.report}`);
+    }
+
+    return failures.length > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+    parseArgs,
+    loadBookRecords,
+    summarizeBook,
+    checkThresholds,
+    renderMarkdown,
+    renderHtml,
+    main
+};
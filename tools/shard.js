@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+/**
+ * Mahabharata Dashboard - Chunked Book Data Generator
+ *
+ * Splits the single data files of a book into the chunked layout described
+ * in static/shards.js: an index plus one shard per adhyaya, for the
+ * dashboard (book_NN_mappings.json) and for the reader (book_NN_viewer.json).
+ * Shards of an earlier run are replaced, and the book is marked `sharded` in
+ * all_books_summary.json and books_summary.json so pages read the index.
+ * The single files are left in place.
+ *
+ *   node tools/shard.js [options]
+ *
+ * Exit codes: 0 done, 2 bad usage or unreadable data.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { DATA_PATHS, getBookMappingPath } = require('../static/paths.js');
+const { validateDataFile } = require('../static/schema.js');
+const { buildBookIndex, buildViewerIndex } = require('../static/shards.js');
+const { parseArgs, readJson, exists, listBooks } = require('./cli.js');
+
+const USAGE = `Usage: node tools/shard.js [options]
+
+  --root=DIR       Site root holding data/ and viewer/data/ (default: the repository)
+  --book=N[,N...]  Books to split (default: every book with a mappings or viewer file)
+  --help           Show this message
+`;
+
+// ==========================================================================
+// Data
+// ==========================================================================
+
+/**
+ * Read a single file and reject it when the pages could not use it either
+ */
+function readValidated(root, relativePath, kind) {
+    const data = readJson(root, relativePath);
+    const diagnostics = validateDataFile(kind, data);
+    if (diagnostics.fatal) {
+        throw new Error(`${relativePath} is not a valid ${diagnostics.label.toLowerCase()} file: ${diagnostics.issues[0].message}`);
+    }
+    return data;
+}
+
+/**
+ * Write an index and its shards into the directory of the index, after
+ * removing the index and shards left there by an earlier run
+ * @param {string} indexPath - Path of the index relative to the root
+ * @param {object} split - { index, shards } from buildBookIndex() or buildViewerIndex()
+ */
+function writeChunks(root, indexPath, { index, shards }) {
+    const dir = path.dirname(path.join(root, indexPath));
+    fs.mkdirSync(dir, { recursive: true });
+    fs.readdirSync(dir)
+        .filter(name => name === 'index.json' || /^adhyaya_.*\.json$/.test(name))
+        .forEach(name => fs.unlinkSync(path.join(dir, name)));
+
+    shards.forEach((records, name) => fs.writeFileSync(path.join(dir, name), JSON.stringify(records)));
+    // The index last, so a page never finds an index whose shards are missing
+    fs.writeFileSync(path.join(root, indexPath), JSON.stringify(index));
+}
+
+/**
+ * Set `sharded` on the entries of the given books in a book list
+ * @returns {boolean} Whether the list exists
+ */
+function markSharded(root, summaryPath, bookNumbers) {
+    if (!exists(root, summaryPath) || bookNumbers.length === 0) return false;
+
+    const books = readJson(root, summaryPath);
+    books.forEach(book => {
+        if (book && bookNumbers.includes(book.book_number)) book.sharded = true;
+    });
+    fs.writeFileSync(path.join(root, summaryPath), JSON.stringify(books, null, 2));
+    return true;
+}
+
+// ==========================================================================
+// Main
+// ==========================================================================
+
+function main(argv) {
+    let options;
+    try {
+        options = parseArgs(argv, { flags: ['help'], options: ['root', 'book'] });
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+    if (options.help) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    const root = path.resolve(options.root || path.join(__dirname, '..'));
+    const sharded = { mappings: [], viewer: [] };
+    try {
+        const books = listBooks(options.book, n => exists(root, getBookMappingPath(n)) || exists(root, DATA_PATHS.viewer.book(n)));
+        if (books.length === 0) {
+            console.error(`No book data found under ${root}`);
+            return 2;
+        }
+
+        for (const n of books) {
+            if (exists(root, getBookMappingPath(n))) {
+                const split = buildBookIndex(readValidated(root, getBookMappingPath(n), 'mappings'), n);
+                writeChunks(root, DATA_PATHS.mappings.bookIndex(n), split);
+                sharded.mappings.push(n);
+                console.log(`Book ${n}: ${DATA_PATHS.mappings.bookIndex(n)} and ${split.shards.size} shards`);
+            }
+            if (exists(root, DATA_PATHS.viewer.book(n))) {
+                const split = buildViewerIndex(readValidated(root, DATA_PATHS.viewer.book(n), 'viewer'));
+                writeChunks(root, DATA_PATHS.viewer.bookIndex(n), split);
+                sharded.viewer.push(n);
+                console.log(`Book ${n}: ${DATA_PATHS.viewer.bookIndex(n)} and ${split.shards.size} shards`);
+            }
+            if (!sharded.mappings.includes(n) && !sharded.viewer.includes(n)) {
+                console.warn(`Book ${n}: no mappings or viewer file, skipped`);
+            }
+        }
+
+        // Pages only read the index of books their summary marks
+        [[DATA_PATHS.mappings.allBooks, sharded.mappings], [DATA_PATHS.viewer.summary, sharded.viewer]]
+            .forEach(([summaryPath, bookNumbers]) => {
+                if (bookNumbers.length > 0 && !markSharded(root, summaryPath, bookNumbers)) {
+                    console.warn(`${summaryPath} not found: pages will keep reading the single files`);
+                }
+            });
+    } catch (error) {
+        console.error(`Could not split the data: ${error.message}`);
+        return 2;
+    }
+
+    return 0;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+    writeChunks,
+    markSharded
+};